@@ -0,0 +1,104 @@
+import { useEffect, useState } from 'react';
+import { getExplorerTxUrl } from '../utils/network.js';
+import {
+  ACTIVITY_LABELS,
+  activityToCsv,
+  activityToJson,
+  clearActivity,
+  getFeesUsdt,
+  loadActivity
+} from '../utils/activity.js';
+import './PositionsList.css';
+
+const DIRECTION_LABELS = { in: 'Received', out: 'Spent', deposit: 'Deposited' };
+
+function formatUsdt(value) {
+  return value === null || value === undefined ? '—' : `$${value.toFixed(2)}`;
+}
+
+function download(content, type, filename) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function ActivityLog({ account, chainId, refreshKey }) {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    setEntries(account && chainId ? loadActivity(chainId, account) : []);
+  }, [account, chainId, refreshKey]);
+
+  const handleExport = (format) => {
+    const filename = `activity-${chainId}-${account.toLowerCase()}.${format}`;
+    if (format === 'csv') {
+      download(activityToCsv(entries), 'text/csv', filename);
+    } else {
+      download(activityToJson(entries), 'application/json', filename);
+    }
+  };
+
+  const handleClear = () => {
+    if (!window.confirm('Clear the activity log for this wallet and network? Export it first if you need it.')) return;
+    clearActivity(chainId, account);
+    setEntries([]);
+  };
+
+  return (
+    <div className="positions">
+      <div className="positions-header">
+        <h2>Activity</h2>
+        <div className="position-actions">
+          <button className="refresh-btn" onClick={() => handleExport('csv')} disabled={entries.length === 0}>
+            Export CSV
+          </button>
+          <button className="refresh-btn" onClick={() => handleExport('json')} disabled={entries.length === 0}>
+            Export JSON
+          </button>
+          <button className="refresh-btn" onClick={handleClear} disabled={entries.length === 0}>
+            Clear
+          </button>
+        </div>
+      </div>
+
+      {entries.length === 0 && (
+        <p className="positions-empty">No activity yet. Invests, withdrawals and fee collections made here are recorded in this browser.</p>
+      )}
+
+      {entries.map((entry) => (
+        <div key={entry.id} className="position-card">
+          <div className="position-title">
+            <span>
+              {ACTIVITY_LABELS[entry.type] ?? entry.type}
+              {entry.tokenId && ` · ${entry.fromTokenId ? `#${entry.fromTokenId} → ` : ''}#${entry.tokenId}`}
+            </span>
+            <span>{new Date(entry.timestamp).toLocaleString()}</span>
+          </div>
+          {entry.amounts.map((amount, i) => (
+            <p key={i}>
+              {DIRECTION_LABELS[amount.direction]} {amount.amount} {amount.symbol}
+              {amount.priceUsdt !== null && ` @ ${formatUsdt(amount.priceUsdt)}`}
+            </p>
+          ))}
+          {entry.fees?.length > 0 && <p>Fees collected: {formatUsdt(getFeesUsdt(entry))}</p>}
+          <p>
+            Gas: {entry.gasPaid} {entry.nativeSymbol} ({formatUsdt(entry.gasPaidUsdt)})
+          </p>
+          <p>
+            {entry.txs.map((hash, i) => (
+              <span key={hash}>
+                {i > 0 && ' · '}
+                <a href={getExplorerTxUrl(entry.chainId, hash)} target="_blank" rel="noopener noreferrer">
+                  Tx {i + 1}
+                </a>
+              </span>
+            ))}
+          </p>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { getWalletAllowances } from '../utils/approvals.js';
+import { revokeApproval } from '../utils/pancakeswap.js';
+import './PositionsList.css';
+
+export default function AllowancesList({ provider, signer, tokens = [] }) {
+  const [allowances, setAllowances] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [revoking, setRevoking] = useState(null);
+
+  const extraTokens = tokens.filter((token) => ethers.isAddress(token));
+  const tokensKey = extraTokens.join(',');
+
+  const loadAllowances = useCallback(async () => {
+    if (!provider || !signer) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const owner = await signer.getAddress();
+      setAllowances(await getWalletAllowances(owner, provider, tokensKey ? tokensKey.split(',') : []));
+    } catch (err) {
+      console.error("[loadAllowances] Error:", {
+        error: err.message,
+        stack: err.stack
+      });
+      setError('Failed to load approvals. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [provider, signer, tokensKey]);
+
+  const handleRevoke = async (allowance) => {
+    const key = `${allowance.token}:${allowance.spender}`;
+    setRevoking(key);
+    setError(null);
+    try {
+      await revokeApproval(allowance.token, allowance.spender, signer);
+      await loadAllowances();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  useEffect(() => {
+    loadAllowances();
+  }, [loadAllowances]);
+
+  return (
+    <div className="positions">
+      <div className="positions-header">
+        <h2>Token Approvals</h2>
+        <button className="refresh-btn" onClick={loadAllowances} disabled={loading}>
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && <p className="positions-error">{error}</p>}
+      {!loading && !error && allowances.length === 0 && (
+        <p className="positions-empty">No active approvals to the swap router or position manager.</p>
+      )}
+
+      {allowances.map((allowance) => {
+        const key = `${allowance.token}:${allowance.spender}`;
+        return (
+          <div key={key} className="position-card allowance-row">
+            <span>
+              {allowance.symbol} → {allowance.spenderLabel}: {allowance.unlimited ? 'Unlimited' : allowance.amount}
+            </span>
+            <button
+              className="action-btn secondary"
+              onClick={() => handleRevoke(allowance)}
+              disabled={revoking !== null}
+            >
+              {revoking === key ? 'Revoking...' : 'Revoke'}
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+export default function InvestConfirmation({ simulation, onConfirm, onCancel, disabled }) {
+  return (
+    <div className="confirmation">
+      <h3>Review Investment</h3>
+      {simulation.routeLabel && simulation.swapAmount !== '0.0' && (
+        <p>
+          Swap {simulation.swapAmount} {simulation.fundingSymbol} via {simulation.routeLabel} for ~{simulation.expectedTokenA} {simulation.tokenASymbol} (min {simulation.minTokenA})
+        </p>
+      )}
+      {simulation.routeBLabel && simulation.depositAmount !== '0.0' && (
+        <p>
+          Swap {simulation.depositAmount} {simulation.fundingSymbol} via {simulation.routeBLabel} for ~{simulation.expectedTokenB} {simulation.tokenBSymbol} (min {simulation.minTokenB})
+        </p>
+      )}
+      <p>Slippage {simulation.slippage}%, price impact {simulation.priceImpact.toFixed(2)}%</p>
+      <p>
+        {simulation.existingTokenId ? `Add to position #${simulation.existingTokenId}` : 'Mint'}: {simulation.mintTokenA} {simulation.tokenASymbol} + {simulation.mintTokenB} {simulation.tokenBSymbol}
+      </p>
+      <p>Leftover: {simulation.leftoverTokenA} {simulation.tokenASymbol} + {simulation.leftoverTokenB} {simulation.tokenBSymbol}</p>
+      <p>
+        Approvals needed: {simulation.approvalsNeeded.length === 0
+          ? 'none'
+          : simulation.approvalsNeeded
+              .map((a) => `${a.symbol} → ${a.spenderLabel}${a.method === 'permit' ? ' (signature)' : ''}`)
+              .join(', ')}
+      </p>
+
+      <ul>
+        {simulation.legs.map((leg, i) => (
+          <li key={i}>
+            {leg.label}: {Number(leg.gas).toLocaleString()} gas{leg.simulated ? '' : ' (estimated)'}
+          </li>
+        ))}
+      </ul>
+      <p>
+        Total gas: {Number(simulation.totalGas).toLocaleString()} @ {simulation.gasPriceGwei.toFixed(2)} gwei ≈{' '}
+        {simulation.gasCostNative.toFixed(6)} {simulation.nativeSymbol}
+        {simulation.gasCostUsd !== null && ` (~$${simulation.gasCostUsd.toFixed(2)})`}
+      </p>
+
+      {simulation.warnings.map((warning, i) => (
+        <p key={i} className="confirmation-warning">{warning}</p>
+      ))}
+
+      <div className="confirmation-actions">
+        <button className="invest-btn" onClick={onConfirm} disabled={disabled || simulation.blocked}>
+          Confirm & Invest
+        </button>
+        <button className="cancel-btn" onClick={onCancel} disabled={disabled}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,42 +1,279 @@
-import { useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { ethers } from 'ethers';
-import { provideLiquidity } from '../utils/liquidityProvider.js';
+import {
+  provideLiquidity,
+  getPoolInfo,
+  previewZap,
+  simulateInvest,
+  resumeInvest,
+  rollbackInvest
+} from '../utils/liquidityProvider.js';
+import { loadInvestSession, clearInvestSession } from '../utils/investSession.js';
+import { getTokens } from '../utils/pancakeswap.js';
+import { RANGE_ORDER_SIDES, getRangeOrderSide, getRangeTicks } from '../utils/range.js';
+import { getListedTokens, TOKEN_STATUS } from '../utils/tokens.js';
+import { getExplorerTxUrl, getNativeSymbol, isSupportedChain, switchNetwork } from '../utils/network.js';
+import { createReadProvider } from '../utils/rpc.js';
+import { getFarmPids } from '../utils/farms.js';
+import { decodeError, ERROR_TYPES } from '../utils/errors.js';
+import {
+  discoverWallets,
+  disconnectWallet,
+  getLastWalletId,
+  getWalletProvider,
+  setLastWalletId
+} from '../utils/wallets.js';
+import { CHAINS, DEFAULT_TOKEN_A, DEFAULT_TOKEN_B, NATIVE } from '../config/contracts.js';
+import PriceRangeSelector from './PriceRangeSelector.jsx';
+import TokenSelect from './TokenSelect.jsx';
+import PositionsList from './PositionsList.jsx';
+import PoolExplorer from './PoolExplorer.jsx';
+import ActivityLog from './ActivityLog.jsx';
+import AllowancesList from './AllowancesList.jsx';
+import InvestConfirmation from './InvestConfirmation.jsx';
+import PendingInvestBanner from './PendingInvestBanner.jsx';
+import SettingsPanel from './SettingsPanel.jsx';
+import TokenListsPanel from './TokenListsPanel.jsx';
+import WalletPicker from './WalletPicker.jsx';
 import './LiquidityProvider.css';
 
 export default function LiquidityProvider() {
   const [amount, setAmount] = useState('');
   const [tokenA, setTokenA] = useState('');
+  const [tokenB, setTokenB] = useState('');
+  const [funding, setFunding] = useState('');
   const [status, setStatus] = useState('');
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const [failure, setFailure] = useState(null);
   const [provider, setProvider] = useState(null);
   const [signer, setSigner] = useState(null);
   const [chainId, setChainId] = useState(null);
+  const [pool, setPool] = useState(null);
+  const [range, setRange] = useState({ preset: 'full', fullRange: true });
+  const [zapPreview, setZapPreview] = useState(null);
+  const [positionsVersion, setPositionsVersion] = useState(0);
+  const [activityVersion, setActivityVersion] = useState(0);
+  const [existingPosition, setExistingPosition] = useState(null);
+  const [farmPid, setFarmPid] = useState(0);
+  const [stakeAfterMint, setStakeAfterMint] = useState(false);
+  const [rangeOrder, setRangeOrder] = useState(false);
+  const [simulation, setSimulation] = useState(null);
+  const [simulating, setSimulating] = useState(false);
+  const [account, setAccount] = useState(null);
+  const [pendingSession, setPendingSession] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [settingsVersion, setSettingsVersion] = useState(0);
+  const [showTokenLists, setShowTokenLists] = useState(false);
+  const [tokenListsVersion, setTokenListsVersion] = useState(0);
+  const [wallets, setWallets] = useState([]);
+  const [wallet, setWallet] = useState(null);
+  const [walletProvider, setWalletProvider] = useState(null);
+  const [connecting, setConnecting] = useState(false);
+  const [autoConnectTried, setAutoConnectTried] = useState(false);
 
-  const connectWallet = async () => {
+  const supported = isSupportedChain(chainId);
+  const tokens = supported ? getTokens(chainId) : {};
+  const nativeSymbol = supported ? getNativeSymbol(chainId) : 'native';
+  const listedTokens = useMemo(() => getListedTokens(chainId), [chainId, tokenListsVersion]);
+  const tokenOptions = listedTokens.map((token) => ({
+    value: token.address,
+    label: token.status === TOKEN_STATUS.LISTED ? `${token.symbol} (${token.listName})` : token.symbol
+  }));
+  const symbolOf = (address, fallback) =>
+    listedTokens.find((token) => token.address.toLowerCase() === address.toLowerCase())?.symbol ?? fallback;
+  const tokenASymbol = symbolOf(tokenA, pool?.tokenASymbol ?? 'Token A');
+  const tokenBSymbol = symbolOf(tokenB, pool?.tokenBSymbol ?? 'Token B');
+  const isRangeOrder = rangeOrder && !existingPosition;
+  const rangeOrderSide = useMemo(() => {
+    if (!isRangeOrder || !pool) return null;
     try {
-      if (!window.ethereum) {
-        throw new Error('Please install MetaMask or another Web3 wallet');
-      }
+      const { tickLower, tickUpper } = getRangeTicks(
+        range,
+        pool.tickSpacing,
+        pool.isToken0A,
+        pool.tokenADecimals,
+        pool.tokenBDecimals
+      );
+      return getRangeOrderSide(tickLower, tickUpper, pool.tick, pool.isToken0A);
+    } catch {
+      return null;
+    }
+  }, [isRangeOrder, pool, range]);
+  const fundingSymbol = isRangeOrder
+    ? rangeOrderSide === RANGE_ORDER_SIDES.SELL ? tokenASymbol : tokenBSymbol
+    : funding === NATIVE
+      ? nativeSymbol
+      : funding
+        ? symbolOf(funding, zapPreview?.funding.symbol ?? 'funding token')
+        : tokenBSymbol;
+  const fundingValid = isRangeOrder
+    ? rangeOrderSide !== null
+    : funding === '' || funding === NATIVE || ethers.isAddress(funding);
 
-      // Get Alchemy RPC URL from environment variable
-      const alchemyRpcUrl = import.meta.env.VITE_ALCHEMY_RPC_URL;
+  useEffect(() => {
+    setTokenA(tokens[DEFAULT_TOKEN_A] ?? '');
+    setTokenB(tokens[DEFAULT_TOKEN_B] ?? '');
+    setFunding('');
+    setExistingPosition(null);
+    setPool(null);
+    setZapPreview(null);
+    setSimulation(null);
+  }, [chainId]);
 
-      // Still use MetaMask for signing
-      const browserProvider = new ethers.BrowserProvider(window.ethereum);
-      await browserProvider.send('eth_requestAccounts', []);
-      const metaMaskSigner = await browserProvider.getSigner();
+  useEffect(() => discoverWallets(setWallets), []);
+
+  useEffect(() => {
+    if (autoConnectTried || signer) return;
+    const lastWallet = wallets.find((candidate) => candidate.id === getLastWalletId());
+    if (!lastWallet) return;
+    setAutoConnectTried(true);
+    connectWallet(lastWallet, { silent: true });
+  }, [wallets]);
 
-      // Use Alchemy RPC for read operations to avoid rate limiting
-      let rpcProvider;
-      if (alchemyRpcUrl) {
-        rpcProvider = new ethers.JsonRpcProvider(alchemyRpcUrl);
+  useEffect(() => {
+    if (!walletProvider?.on) return;
+    const handleAccountsChanged = (accounts) => {
+      if (accounts.length === 0) {
+        resetConnection();
       } else {
-        rpcProvider = browserProvider;
+        connectWallet(wallet, { silent: true });
+      }
+    };
+    const handleChainChanged = () => connectWallet(wallet, { silent: true });
+    walletProvider.on('accountsChanged', handleAccountsChanged);
+    walletProvider.on('chainChanged', handleChainChanged);
+    walletProvider.on('disconnect', resetConnection);
+    return () => {
+      walletProvider.removeListener('accountsChanged', handleAccountsChanged);
+      walletProvider.removeListener('chainChanged', handleChainChanged);
+      walletProvider.removeListener('disconnect', resetConnection);
+    };
+  }, [walletProvider, wallet]);
+
+  const refreshPendingSession = () => {
+    setPendingSession(account && chainId ? loadInvestSession(chainId, account) : null);
+  };
+
+  useEffect(() => {
+    refreshPendingSession();
+  }, [account, chainId]);
+
+  useEffect(() => {
+    setPool(null);
+    setRange({ preset: 'full', fullRange: true });
+    if (!provider || !ethers.isAddress(tokenA) || !ethers.isAddress(tokenB)) return;
+
+    let cancelled = false;
+    getPoolInfo(tokenA, tokenB, provider, existingPosition?.fee)
+      .then((info) => {
+        if (!cancelled) setPool(info);
+      })
+      .catch((err) => {
+        console.error("[loadPool] Error:", {
+          error: err.message,
+          tokenA,
+          tokenB,
+        });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, tokenA, tokenB, existingPosition]);
+
+  useEffect(() => {
+    setFarmPid(0);
+    if (!provider || !pool) return;
+
+    let cancelled = false;
+    getFarmPids([pool.poolAddress], provider)
+      .then(([pid]) => {
+        if (!cancelled) setFarmPid(pid);
+      })
+      .catch((err) => {
+        console.error("[loadFarm] Error:", {
+          error: err.message,
+          poolAddress: pool.poolAddress
+        });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, pool]);
+
+  useEffect(() => {
+    setSimulation(null);
+  }, [amount, tokenA, tokenB, funding, range, existingPosition, rangeOrder, settingsVersion]);
+
+  useEffect(() => {
+    setZapPreview(null);
+    if (!provider || !pool || !fundingValid || !(Number(amount) > 0)) return;
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      const ticks = existingPosition && {
+        tickLower: existingPosition.tickLower,
+        tickUpper: existingPosition.tickUpper
+      };
+      previewZap(amount, tokenA, provider, { pool, range, ticks, funding, rangeOrder: isRangeOrder })
+        .then((preview) => {
+          if (!cancelled) setZapPreview(preview);
+        })
+        .catch((err) => {
+          console.error("[previewZap] Error:", {
+            error: err.message,
+            amount,
+            tokenA,
+          });
+        });
+    }, 500);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [provider, pool, range, amount, tokenA, funding, existingPosition, isRangeOrder, fundingValid, settingsVersion]);
+
+  const handleAddToPosition = (position) => {
+    setExistingPosition(position);
+    setTokenA(position.isToken0Base ? position.token0 : position.token1);
+    setTokenB(position.isToken0Base ? position.token1 : position.token0);
+    setResult(null);
+    setError(null);
+  };
+
+  const resetConnection = () => {
+    setWallet(null);
+    setWalletProvider(null);
+    setProvider(null);
+    setSigner(null);
+    setAccount(null);
+    setChainId(null);
+    setSimulation(null);
+    setResult(null);
+    setStatus('');
+  };
+
+  const connectWallet = async (selected, { silent = false } = {}) => {
+    setConnecting(true);
+    try {
+      const eip1193 = await getWalletProvider(selected, { silent });
+      if (!eip1193) {
+        if (silent) resetConnection();
+        return;
       }
 
-      const network = await rpcProvider.getNetwork();
+      // Still use the wallet for signing
+      const browserProvider = new ethers.BrowserProvider(eip1193);
+      const metaMaskSigner = await browserProvider.getSigner();
+
+      // Use the configured RPC endpoints for read operations to avoid rate
+      // limiting, with the wallet's provider as the last fallback
+      const network = await browserProvider.getNetwork();
+      const connectedChainId = Number(network.chainId);
+      const rpcProvider = isSupportedChain(connectedChainId)
+        ? await createReadProvider(connectedChainId, browserProvider)
+        : browserProvider;
 
 
       class CustomSigner {
@@ -62,6 +299,10 @@ export default function LiquidityProvider() {
           return this._metaMaskSigner.signTransaction(tx);
         }
 
+        signTypedData(domain, types, value) {
+          return this._metaMaskSigner.signTypedData(domain, types, value);
+        }
+
         connect(provider) {
           return new CustomSigner(this._metaMaskSigner, provider);
         }
@@ -71,9 +312,14 @@ export default function LiquidityProvider() {
 
       setProvider(rpcProvider);
       setSigner(signer);
-      setChainId(Number(network.chainId));
+      setAccount(await signer.getAddress());
+      setChainId(connectedChainId);
 
-      setStatus('Wallet connected');
+      setWallet(selected);
+      setWalletProvider(eip1193);
+      setLastWalletId(selected.id);
+
+      setStatus(`${selected.name} connected`);
       setError(null);
     } catch (err) {
       console.error("[connectWallet] Error:", {
@@ -81,41 +327,98 @@ export default function LiquidityProvider() {
         stack: err.stack,
         code: err.code
       });
-      if (err.message && err.message.includes("user rejected")) {
+      if (silent) {
+        resetConnection();
+      } else if (decodeError(err).type === ERROR_TYPES.USER_REJECTED) {
         setError("Connection cancelled. Please try again.");
-      } else if (err.message && err.message.includes("install")) {
-        setError("Please install MetaMask or another Web3 wallet");
       } else {
         setError("Failed to connect wallet. Please try again.");
       }
       setStatus('');
+    } finally {
+      setConnecting(false);
     }
   };
 
-  const handleInvest = async () => {
+  const handleDisconnect = async () => {
+    await disconnectWallet(wallet);
+    resetConnection();
+    setStatus('Wallet disconnected');
+  };
+
+  const handleSwitchNetwork = async (targetChainId) => {
+    setError(null);
+    try {
+      await switchNetwork(walletProvider, targetChainId);
+      await connectWallet(wallet, { silent: true });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleReview = async () => {
     if (!signer || !amount || !tokenA) {
       setError('Please connect wallet, enter amount, and token address');
       return;
     }
 
+    setSimulating(true);
+    setError(null);
+    setResult(null);
+    setStatus('');
+
+    try {
+      setSimulation(await simulateInvest(amount, tokenA, signer, {
+        range,
+        tokenB,
+        funding,
+        tokenId: existingPosition?.tokenId,
+        rangeOrder: isRangeOrder
+      }));
+    } catch (err) {
+      console.error("[handleReview] Error:", {
+        error: err.message,
+        stack: err.stack,
+        code: err.code
+      });
+      showFailure(err.message || 'Unable to preview this investment. Please try again.', err.suggestion);
+    } finally {
+      setSimulating(false);
+    }
+  };
+
+  const showFailure = (message, suggestion = null) => {
+    setError(message);
+    setFailure({ message, suggestion });
+  };
+
+  const handleSuggestion = (suggestion) => {
+    if (suggestion.action === 'settings') setShowSettings(true);
+    if (suggestion.action === 'review') handleReview();
+  };
+
+  const runInvestAction = async (action, startMessage, successMessage) => {
+    setSimulation(null);
     setLoading(true);
     setError(null);
-    setStatus('Starting liquidity provision...');
+    setStatus(startMessage);
     setResult(null);
 
     try {
-      const result = await provideLiquidity(amount, tokenA, signer);
+      const result = await action();
 
       if (result.success) {
         setResult(result);
-        setStatus('Liquidity provision completed successfully!');
+        setPositionsVersion((v) => v + 1);
+        setActivityVersion((v) => v + 1);
+        setStatus(successMessage);
       } else {
-        console.error("[handleInvest] Transaction failed:", result);
-        setError(result.error || 'Transaction failed. Please try again.');
+        console.error("[runInvestAction] Transaction failed:", result);
+        showFailure(result.error || 'Transaction failed. Please try again.', result.suggestion);
         setStatus('');
       }
     } catch (err) {
-      console.error("[handleInvest] Error:", {
+      console.error("[runInvestAction] Error:", {
         error: err.message,
         stack: err.stack,
         code: err.code
@@ -124,24 +427,124 @@ export default function LiquidityProvider() {
       setStatus('');
     } finally {
       setLoading(false);
+      refreshPendingSession();
     }
   };
 
+  const handleInvest = async () => {
+    if (!signer || !amount || !tokenA) {
+      setError('Please connect wallet, enter amount, and token address');
+      return;
+    }
+
+    await runInvestAction(
+      () => provideLiquidity(amount, tokenA, signer, {
+        range,
+        tokenB,
+        funding,
+        tokenId: existingPosition?.tokenId,
+        stake: stakeAfterMint && farmPid > 0,
+        rangeOrder: isRangeOrder
+      }),
+      'Starting liquidity provision...',
+      'Liquidity provision completed successfully!'
+    );
+  };
+
+  const handleResume = () => runInvestAction(
+    () => resumeInvest(signer),
+    'Resuming liquidity provision...',
+    'Liquidity provision completed successfully!'
+  );
+
+  const handleRollBack = () => runInvestAction(
+    () => rollbackInvest(signer),
+    `Swapping back to ${pendingSession?.plan?.funding.symbol ?? 'the funding token'}...`,
+    'Rolled back successfully.'
+  );
+
+  const handleDismissPending = () => {
+    clearInvestSession(chainId, account);
+    setPendingSession(null);
+  };
+
   return (
     <div className="liquidity-provider">
       <div className="container">
         <h1>PancakeSwap V3 Liquidity Provider</h1>
 
         {!signer && (
-          <button className="connect-btn" onClick={connectWallet}>
-            Connect Wallet
-          </button>
+          <WalletPicker wallets={wallets} onSelect={(selected) => connectWallet(selected)} disabled={connecting} />
         )}
 
         {signer && (
+          <div className="network-bar">
+            <span className="wallet-account">
+              {wallet.name} · {account.slice(0, 6)}...{account.slice(-4)}
+            </span>
+            <button type="button" className="settings-toggle" onClick={handleDisconnect} disabled={loading}>
+              Disconnect
+            </button>
+            <label>Network</label>
+            <select
+              value={supported ? chainId : ''}
+              onChange={(e) => handleSwitchNetwork(Number(e.target.value))}
+              disabled={loading}
+            >
+              {!supported && <option value="">Unsupported network</option>}
+              {Object.entries(CHAINS).map(([id, chain]) => (
+                <option key={id} value={id}>{chain.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {signer && !supported && (
+          <div className="error">
+            <p>This app does not support chain ID {chainId}. Please switch to a supported network.</p>
+          </div>
+        )}
+
+        {signer && supported && pendingSession && (
+          <PendingInvestBanner
+            session={pendingSession}
+            onResume={handleResume}
+            onRollBack={handleRollBack}
+            onDismiss={handleDismissPending}
+            disabled={loading}
+          />
+        )}
+
+        {signer && supported && (
           <div className="form">
+            <button
+              type="button"
+              className="settings-toggle"
+              onClick={() => setShowSettings((open) => !open)}
+              disabled={loading}
+            >
+              {showSettings ? 'Close settings' : '⚙ Settings'}
+            </button>
+            {showSettings && (
+              <SettingsPanel
+                onClose={() => {
+                  setShowSettings(false);
+                  setSettingsVersion((v) => v + 1);
+                }}
+              />
+            )}
+            <button
+              type="button"
+              className="settings-toggle"
+              onClick={() => setShowTokenLists((open) => !open)}
+              disabled={loading}
+            >
+              {showTokenLists ? 'Close token lists' : 'Token lists'}
+            </button>
+            {showTokenLists && <TokenListsPanel onChange={() => setTokenListsVersion((v) => v + 1)} />}
+
             <div className="input-group">
-              <label>Investment Amount (USDT)</label>
+              <label>Investment Amount ({fundingSymbol})</label>
               <input
                 type="number"
                 value={amount}
@@ -151,25 +554,178 @@ export default function LiquidityProvider() {
               />
             </div>
 
-            <div className="input-group">
-              <label>Token A Address</label>
-              <input
-                type="text"
+            <div className="range-inputs">
+              <TokenSelect
+                label="Token A"
                 value={tokenA}
-                onChange={(e) => setTokenA(e.target.value)}
-                placeholder="0x..."
+                options={tokenOptions}
+                onChange={(value) => {
+                  setTokenA(value);
+                  setExistingPosition(null);
+                }}
+                disabled={loading}
+                provider={provider}
+                account={account}
+                chainId={chainId}
+                refreshKey={positionsVersion}
+              />
+              <TokenSelect
+                label="Token B"
+                value={tokenB}
+                options={tokenOptions}
+                onChange={(value) => {
+                  setTokenB(value);
+                  setExistingPosition(null);
+                }}
                 disabled={loading}
+                provider={provider}
+                account={account}
+                chainId={chainId}
+                refreshKey={positionsVersion}
               />
-              <small>Token to buy with 50% of investment</small>
             </div>
 
-            <button
-              className="invest-btn"
-              onClick={handleInvest}
-              disabled={loading || !amount || !tokenA}
-            >
-              {loading ? 'Processing...' : 'Invest'}
-            </button>
+            {!existingPosition && (
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={rangeOrder}
+                  onChange={(e) => setRangeOrder(e.target.checked)}
+                  disabled={loading}
+                />
+                Range order (single-sided, no swap)
+              </label>
+            )}
+
+            {isRangeOrder ? (
+              <div className="zap-preview">
+                {rangeOrderSide === RANGE_ORDER_SIDES.SELL && (
+                  <p>Sell order: deposit only {tokenASymbol}, sold for {tokenBSymbol} as the price rises through the range</p>
+                )}
+                {rangeOrderSide === RANGE_ORDER_SIDES.BUY && (
+                  <p>Buy order: deposit only {tokenBSymbol}, spent on {tokenASymbol} as the price falls through the range</p>
+                )}
+                {!rangeOrderSide && (
+                  <p className="impact-blocked">
+                    Pick a custom range entirely above the current price (to sell {tokenASymbol}) or entirely below it
+                    (to buy {tokenASymbol}).
+                  </p>
+                )}
+              </div>
+            ) : (
+              <TokenSelect
+                label="Fund With"
+                value={funding}
+                options={[
+                  { value: '', label: `${tokenBSymbol} (Token B)` },
+                  { value: NATIVE, label: `${nativeSymbol} (native)` },
+                  ...tokenOptions.filter((option) => option.value.toLowerCase() !== tokenB.toLowerCase())
+                ]}
+                onChange={setFunding}
+                disabled={loading}
+                provider={provider}
+                account={account}
+                chainId={chainId}
+                refreshKey={positionsVersion}
+                hint="Swapped into Token A and/or Token B as needed"
+              />
+            )}
+
+            {existingPosition ? (
+              <div className="existing-position">
+                <span>
+                  Adding to position #{existingPosition.tokenId} ({existingPosition.symbol0}/{existingPosition.symbol1}) using its price range
+                </span>
+                <button type="button" onClick={() => setExistingPosition(null)} disabled={loading}>
+                  New position instead
+                </button>
+              </div>
+            ) : (
+              <PriceRangeSelector
+                pool={pool}
+                range={range}
+                onChange={setRange}
+                disabled={loading}
+              />
+            )}
+
+            <PoolExplorer
+              provider={provider}
+              pool={pool}
+              tokenAAddress={tokenA}
+              range={range}
+              ticks={existingPosition && {
+                tickLower: existingPosition.tickLower,
+                tickUpper: existingPosition.tickUpper
+              }}
+            />
+
+            {!existingPosition && farmPid > 0 && (
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={stakeAfterMint}
+                  onChange={(e) => setStakeAfterMint(e.target.checked)}
+                  disabled={loading}
+                />
+                Stake the new position in its CAKE farm
+              </label>
+            )}
+
+            {zapPreview?.rangeOrderSide && (
+              <div className="zap-preview">
+                <p>
+                  Deposit {zapPreview.rangeOrderSide === RANGE_ORDER_SIDES.SELL
+                    ? `${zapPreview.swapAmount} ${tokenASymbol}`
+                    : `${zapPreview.depositAmount} ${tokenBSymbol}`} with no swap
+                </p>
+                <p>
+                  Expected leftover: {zapPreview.leftoverTokenA} {tokenASymbol} + {zapPreview.leftoverTokenB} {tokenBSymbol}
+                </p>
+              </div>
+            )}
+
+            {zapPreview && !zapPreview.rangeOrderSide && (
+              <div className="zap-preview">
+                {zapPreview.routeLabel ? (
+                  <p>Swap {zapPreview.swapAmount} {fundingSymbol} for ~{zapPreview.expectedTokenA} {tokenASymbol} via {zapPreview.routeLabel}</p>
+                ) : (
+                  <p>Deposit {zapPreview.swapAmount} {tokenASymbol}</p>
+                )}
+                {zapPreview.routeBLabel ? (
+                  <p>Swap {zapPreview.depositAmount} {fundingSymbol} for ~{zapPreview.expectedTokenB} {tokenBSymbol} via {zapPreview.routeBLabel}</p>
+                ) : (
+                  <p>Deposit {zapPreview.depositAmount} {fundingSymbol} alongside it</p>
+                )}
+                <p>Price impact: {zapPreview.priceImpact.toFixed(2)}%</p>
+                {zapPreview.priceImpactCheck.message && (
+                  <p className={`impact-${zapPreview.priceImpactCheck.level}`}>
+                    {zapPreview.priceImpactCheck.message}
+                  </p>
+                )}
+                <p>
+                  Expected leftover: {zapPreview.leftoverTokenA} {tokenASymbol} + {zapPreview.leftoverTokenB} {tokenBSymbol}
+                  {' '}(~{zapPreview.leftoverValueB.toFixed(4)} {tokenBSymbol})
+                </p>
+              </div>
+            )}
+
+            {simulation ? (
+              <InvestConfirmation
+                simulation={simulation}
+                onConfirm={handleInvest}
+                onCancel={() => setSimulation(null)}
+                disabled={loading}
+              />
+            ) : (
+              <button
+                className="invest-btn"
+                onClick={handleReview}
+                disabled={loading || simulating || !amount || !pool || !fundingValid}
+              >
+                {loading ? 'Processing...' : simulating ? 'Simulating...' : 'Review Investment'}
+              </button>
+            )}
           </div>
         )}
 
@@ -189,19 +745,99 @@ export default function LiquidityProvider() {
         {error && (
           <div className="error">
             <p>Error: {error}</p>
+            {failure?.message === error && failure.suggestion && (
+              failure.suggestion.action ? (
+                <button type="button" className="settings-toggle" onClick={() => handleSuggestion(failure.suggestion)}>
+                  {failure.suggestion.label}
+                </button>
+              ) : (
+                <small>{failure.suggestion.label}</small>
+              )
+            )}
           </div>
         )}
 
         {result && result.success && (
           <div className="result">
-            <h3>Success!</h3>
-            <p>Swap Transaction: <a href={`https://bscscan.com/tx/${result.swapTx}`} target="_blank" rel="noopener noreferrer">{result.swapTx}</a></p>
-            <p>Liquidity Transaction: <a href={`https://bscscan.com/tx/${result.liquidityTx}`} target="_blank" rel="noopener noreferrer">{result.liquidityTx}</a></p>
-            {result.nftTokenId && <p>LP NFT Token ID: {result.nftTokenId}</p>}
-            <p>Token A Amount: {result.tokenAAmount}</p>
-            <p>USDT Amount: {result.usdtAmount}</p>
+            <h3>
+              {result.action === 'zapOut'
+                ? 'Zapped out!'
+                : result.action === 'rollback'
+                  ? 'Rolled back'
+                  : result.action === 'rebalance'
+                    ? 'Rebalanced!'
+                    : 'Success!'}
+            </h3>
+            {result.removeTx && <p>Remove Transaction: <a href={getExplorerTxUrl(chainId, result.removeTx)} target="_blank" rel="noopener noreferrer">{result.removeTx}</a></p>}
+            {result.swapTx && <p>Swap Transaction: <a href={getExplorerTxUrl(chainId, result.swapTx)} target="_blank" rel="noopener noreferrer">{result.swapTx}</a></p>}
+            {result.liquidityTx && <p>Liquidity Transaction: <a href={getExplorerTxUrl(chainId, result.liquidityTx)} target="_blank" rel="noopener noreferrer">{result.liquidityTx}</a></p>}
+            {result.nftTokenId && result.action !== 'rebalance' && (
+              <p>
+                LP NFT Token ID: {result.nftTokenId}
+                {result.increasedExisting && ' (existing position increased)'}
+                {result.rangeOrderSide && ` (${result.rangeOrderSide === RANGE_ORDER_SIDES.SELL ? 'sell' : 'buy'} range order)`}
+              </p>
+            )}
+            {result.stakeTx && <p>Stake Transaction: <a href={getExplorerTxUrl(chainId, result.stakeTx)} target="_blank" rel="noopener noreferrer">{result.stakeTx}</a></p>}
+            {result.action === 'zapOut' ? (
+              <>
+                <p>Swapped to USDT: {result.tokenAAmount || 'nothing'}</p>
+                <p>USDT Received: {result.usdtAmount}</p>
+                <p>
+                  Fees Included:{' '}
+                  {Object.entries(result.feesIncluded).map(([symbol, amount]) => `${amount} ${symbol}`).join(' + ')}
+                </p>
+              </>
+            ) : result.action === 'rebalance' ? (
+              <>
+                <p>Old Position: #{result.oldTokenId} (emptied)</p>
+                <p>New Position: #{result.nftTokenId}</p>
+                <p>New Tick Range: {result.tickLower} to {result.tickUpper}</p>
+                <p>Deposited: {result.deposited}</p>
+              </>
+            ) : result.action === 'rollback' ? (
+              <>
+                <p>Swapped Back: {result.swappedBack}</p>
+                <p>{result.fundingSymbol} Received: {result.fundingAmount}</p>
+              </>
+            ) : (
+              <>
+                <p>Tick Range: {result.tickLower} to {result.tickUpper}</p>
+                <p>Invested: {result.fundingAmount} {result.fundingSymbol}</p>
+                <p>{result.tokenASymbol} Amount: {result.tokenAAmount}</p>
+                <p>{result.tokenBSymbol} Amount: {result.tokenBAmount}</p>
+                <p>{result.fundingSymbol} Swapped: {result.swapAmount}</p>
+              </>
+            )}
           </div>
         )}
+
+        {signer && supported && (
+          <PositionsList
+            provider={provider}
+            signer={signer}
+            chainId={chainId}
+            refreshKey={positionsVersion}
+            onAddLiquidity={handleAddToPosition}
+            onActivity={() => setActivityVersion((v) => v + 1)}
+            onResult={(result) => {
+              setResult(result);
+              setActivityVersion((v) => v + 1);
+              setError(null);
+              setStatus(
+                result.action === 'rebalance'
+                  ? 'Position rebalanced successfully!'
+                  : 'Position exited to USDT successfully!'
+              );
+            }}
+          />
+        )}
+
+        {signer && supported && (
+          <AllowancesList provider={provider} signer={signer} tokens={[tokenA, tokenB, funding]} />
+        )}
+
+        {signer && supported && <ActivityLog account={account} chainId={chainId} refreshKey={activityVersion} />}
       </div>
     </div>
   );
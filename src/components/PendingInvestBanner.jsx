@@ -0,0 +1,29 @@
+import { getStepLabel, canRollBack } from '../utils/investSession.js';
+
+export default function PendingInvestBanner({ session, onResume, onRollBack, onDismiss, disabled }) {
+  const fundingSymbol = session.plan?.funding.symbol ?? '';
+  const failedStep = session.failedStep ? getStepLabel(session.failedStep).replace('...', '') : 'an unknown step';
+  const startedAt = new Date(session.createdAt).toLocaleString();
+
+  return (
+    <div className="pending-invest">
+      <p>
+        An investment of {session.params.investmentAmount} {fundingSymbol} started {startedAt} stopped at: {failedStep}.
+      </p>
+      {session.error && <small>{session.error}</small>}
+      <div className="pending-invest-actions">
+        <button className="action-btn" onClick={onResume} disabled={disabled}>
+          Resume
+        </button>
+        {canRollBack(session) && (
+          <button className="action-btn secondary" onClick={onRollBack} disabled={disabled}>
+            Roll back to {fundingSymbol}
+          </button>
+        )}
+        <button className="action-btn secondary" onClick={onDismiss} disabled={disabled}>
+          Dismiss
+        </button>
+      </div>
+    </div>
+  );
+}
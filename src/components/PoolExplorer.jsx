@@ -0,0 +1,175 @@
+import { useEffect, useState } from 'react';
+import { getLiquidityDistribution, getPoolOverview } from '../utils/poolExplorer.js';
+import { formatFeeTier } from '../utils/positions.js';
+import { getRangeTicks } from '../utils/range.js';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+
+function formatPrice(value) {
+  if (value === null || !Number.isFinite(value)) return '∞';
+  if (value === 0) return '0';
+  return value < 1 ? value.toPrecision(4) : value.toFixed(4);
+}
+
+function formatAmount(value) {
+  const number = Number(value);
+  return number >= 1000 ? number.toLocaleString(undefined, { maximumFractionDigits: 0 }) : number.toFixed(4);
+}
+
+// The chart's x axis follows Token A's price, so it runs against the tick
+// when Token A is token1.
+function getTickToX(distribution, isToken0A) {
+  const { tickLower, tickUpper } = distribution;
+  return (tick) => {
+    const clamped = Math.min(Math.max(tick, tickLower), tickUpper);
+    const share = (clamped - tickLower) / (tickUpper - tickLower);
+    return (isToken0A ? share : 1 - share) * CHART_WIDTH;
+  };
+}
+
+function getOverlayTicks(pool, range, ticks) {
+  if (ticks) return ticks;
+  try {
+    return getRangeTicks(range, pool.tickSpacing, pool.isToken0A, pool.tokenADecimals, pool.tokenBDecimals);
+  } catch {
+    return null;
+  }
+}
+
+export default function PoolExplorer({ provider, pool, tokenAAddress, range, ticks }) {
+  const [overview, setOverview] = useState(null);
+  const [distribution, setDistribution] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    setOverview(null);
+    setDistribution(null);
+    setError(null);
+    if (!provider || !pool) return;
+
+    let cancelled = false;
+    setLoading(true);
+    Promise.all([getPoolOverview(pool, tokenAAddress, provider), getLiquidityDistribution(pool, provider)])
+      .then(([nextOverview, nextDistribution]) => {
+        if (cancelled) return;
+        setOverview(nextOverview);
+        setDistribution(nextDistribution);
+      })
+      .catch((err) => {
+        console.error("[loadPoolExplorer] Error:", {
+          error: err.message,
+          poolAddress: pool.poolAddress
+        });
+        if (!cancelled) setError('Failed to load pool data. Please try again.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, pool, tokenAAddress, refreshKey]);
+
+  if (!pool) return null;
+
+  const tickToX = distribution && getTickToX(distribution, pool.isToken0A);
+  const maxLiquidity = distribution?.segments.reduce(
+    (max, segment) => (segment.liquidity > max ? segment.liquidity : max),
+    0n
+  );
+  const overlay = getOverlayTicks(pool, range, ticks);
+
+  return (
+    <div className="pool-explorer">
+      <div className="pool-explorer-header">
+        <strong>
+          Pool {pool.tokenASymbol}/{pool.tokenBSymbol} · {formatFeeTier(pool.fee)}
+        </strong>
+        <button type="button" onClick={() => setRefreshKey((v) => v + 1)} disabled={loading}>
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && <p className="pool-explorer-error">{error}</p>}
+
+      {overview && (
+        <>
+          <p>
+            1 {pool.tokenASymbol} = {formatPrice(overview.priceAInB)} {pool.tokenBSymbol} · 1 {pool.tokenBSymbol} ={' '}
+            {formatPrice(overview.priceBInA)} {pool.tokenASymbol}
+          </p>
+          <p>
+            Tick: {overview.tick} (spacing {overview.tickSpacing}) · Active liquidity: {overview.liquidity.toString()}
+          </p>
+          <p>
+            Reserves: {formatAmount(overview.reserveA)} {pool.tokenASymbol} + {formatAmount(overview.reserveB)}{' '}
+            {pool.tokenBSymbol}
+          </p>
+        </>
+      )}
+
+      {distribution && (
+        <>
+          <svg
+            className="liquidity-chart"
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            preserveAspectRatio="none"
+            role="img"
+            aria-label="Liquidity by price"
+          >
+            {overlay && (
+              <rect
+                className="liquidity-chart-range"
+                x={Math.min(tickToX(overlay.tickLower), tickToX(overlay.tickUpper))}
+                width={Math.abs(tickToX(overlay.tickUpper) - tickToX(overlay.tickLower))}
+                y={0}
+                height={CHART_HEIGHT}
+              />
+            )}
+            {maxLiquidity > 0n &&
+              distribution.segments.map((segment) => {
+                const x1 = tickToX(segment.tickLower);
+                const x2 = tickToX(segment.tickUpper);
+                const height = (Number(segment.liquidity) / Number(maxLiquidity)) * CHART_HEIGHT;
+                return (
+                  <rect
+                    key={segment.tickLower}
+                    className="liquidity-chart-bar"
+                    x={Math.min(x1, x2)}
+                    width={Math.abs(x2 - x1)}
+                    y={CHART_HEIGHT - height}
+                    height={height}
+                  >
+                    <title>
+                      {formatPrice(segment.minPrice)} – {formatPrice(segment.maxPrice)}: {segment.liquidity.toString()}
+                    </title>
+                  </rect>
+                );
+              })}
+            <line
+              className="liquidity-chart-price"
+              x1={tickToX(pool.tick)}
+              x2={tickToX(pool.tick)}
+              y1={0}
+              y2={CHART_HEIGHT}
+            />
+          </svg>
+          <div className="liquidity-chart-axis">
+            <span>{formatPrice(distribution.segments[0]?.minPrice ?? null)}</span>
+            <span>
+              {pool.tokenBSymbol} per {pool.tokenASymbol}
+            </span>
+            <span>{formatPrice(distribution.segments[distribution.segments.length - 1]?.maxPrice ?? null)}</span>
+          </div>
+          <small>
+            Liquidity across {distribution.initializedTicks} initialized ticks near the current price; the line marks
+            the current price and the shaded band your range.
+          </small>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,461 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getWalletPositions, formatFeeTier } from '../utils/positions.js';
+import {
+  zapOut,
+  collectPositionFees,
+  rebalancePosition,
+  stakePosition,
+  unstakePosition,
+  harvestFarmRewards
+} from '../utils/liquidityProvider.js';
+import { getExplorerTxUrl } from '../utils/network.js';
+import { loadActivity } from '../utils/activity.js';
+import { getPositionAnalytics } from '../utils/positionAnalytics.js';
+import { RANGE_ORDER_SIDES } from '../utils/range.js';
+import { RANGE_ORDER_STATUS, getRangeOrderStatus, loadRangeOrders } from '../utils/rangeOrders.js';
+import RemoveLiquidityForm from './RemoveLiquidityForm.jsx';
+import './PositionsList.css';
+
+function formatAmount(value) {
+  const number = Number(value);
+  if (number === 0) return '0';
+  return number < 0.0001 ? number.toExponential(2) : number.toFixed(4);
+}
+
+function formatUsdt(value, signed = false) {
+  if (value === null) return '—';
+  const sign = signed && value > 0 ? '+' : '';
+  return `${sign}${value.toFixed(2)} USDT`;
+}
+
+function formatPercent(value) {
+  return value === null ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+const RANGE_ORDER_LABELS = {
+  [RANGE_ORDER_STATUS.OPEN]: 'Waiting for price',
+  [RANGE_ORDER_STATUS.FILLING]: 'Filling',
+  [RANGE_ORDER_STATUS.FILLED]: 'Filled'
+};
+
+function getRangeOrder(position, rangeOrders) {
+  const order = rangeOrders[position.tokenId.toString()];
+  if (!order || position.closed) return null;
+  return {
+    ...order,
+    status: getRangeOrderStatus(order, position.currentTick),
+    boughtSymbol: order.startsInToken0 ? position.symbol1 : position.symbol0
+  };
+}
+
+function formatPrice(value) {
+  if (!Number.isFinite(value)) return '∞';
+  return value < 1 ? value.toPrecision(4) : value.toFixed(4);
+}
+
+export default function PositionsList({ provider, signer, chainId, refreshKey, onResult, onAddLiquidity, onActivity }) {
+  const [positions, setPositions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [activeAction, setActiveAction] = useState(null);
+  const [busyTokenId, setBusyTokenId] = useState(null);
+  const [swapFeesToUsdt, setSwapFeesToUsdt] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const loadPositions = useCallback(async () => {
+    if (!provider || !signer) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const owner = await signer.getAddress();
+      const activity = loadActivity(chainId, owner);
+      const rangeOrders = loadRangeOrders(chainId, owner);
+      const loaded = await getWalletPositions(owner, provider);
+      setPositions(
+        loaded.map((position) => ({
+          ...position,
+          analytics: getPositionAnalytics(position, activity),
+          rangeOrder: getRangeOrder(position, rangeOrders)
+        }))
+      );
+    } catch (err) {
+      console.error("[loadPositions] Error:", {
+        error: err.message,
+        stack: err.stack
+      });
+      setError('Failed to load positions. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [provider, signer, chainId]);
+
+  const toggleAction = (tokenId, action) => {
+    const key = `${tokenId}:${action}`;
+    setActiveAction((current) => (current === key ? null : key));
+  };
+
+  const handleZapOut = async (position) => {
+    setBusyTokenId(position.tokenId);
+    setError(null);
+    try {
+      const result = await zapOut(position.tokenId, signer);
+      if (result.success) {
+        onResult?.(result);
+        await loadPositions();
+      } else {
+        setError(result.suggestion ? `${result.error} ${result.suggestion.label}.` : result.error || 'Zap out failed. Please try again.');
+      }
+    } catch (err) {
+      console.error("[handleZapOut] Error:", {
+        error: err.message,
+        stack: err.stack,
+        code: err.code
+      });
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setBusyTokenId(null);
+    }
+  };
+
+  const handleRebalance = async (position) => {
+    const busyKey = `rebalance:${position.tokenId}`;
+    setBusyTokenId(busyKey);
+    setError(null);
+    try {
+      const result = await rebalancePosition(position.tokenId, signer);
+      if (result.success) {
+        onResult?.(result);
+        await loadPositions();
+      } else {
+        setError(result.suggestion ? `${result.error} ${result.suggestion.label}.` : result.error || 'Rebalance failed. Please try again.');
+      }
+    } catch (err) {
+      console.error("[handleRebalance] Error:", {
+        error: err.message,
+        stack: err.stack,
+        code: err.code
+      });
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setBusyTokenId(null);
+    }
+  };
+
+  // Stake, unstake and harvest share one handler: they only differ in the
+  // flow they run and the notice they leave.
+  const handleFarmAction = async (busyKey, action, describe) => {
+    setBusyTokenId(busyKey);
+    setError(null);
+    setNotice(null);
+    try {
+      const result = await action();
+      if (result.success) {
+        setNotice(describe(result));
+        onActivity?.();
+        await loadPositions();
+      } else {
+        setError(result.suggestion ? `${result.error} ${result.suggestion.label}.` : result.error || 'Farm action failed. Please try again.');
+      }
+    } catch (err) {
+      console.error("[handleFarmAction] Error:", {
+        error: err.message,
+        stack: err.stack,
+        code: err.code
+      });
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setBusyTokenId(null);
+    }
+  };
+
+  const handleStake = (position) =>
+    handleFarmAction(`stake:${position.tokenId}`, () => stakePosition(position.tokenId, signer), (result) => ({
+      message: `Position #${result.tokenId} staked in its CAKE farm`,
+      tx: result.stakeTx
+    }));
+
+  const handleUnstake = (position) =>
+    handleFarmAction(`unstake:${position.tokenId}`, () => unstakePosition(position.tokenId, signer), (result) => ({
+      message: `Position #${result.tokenId} unstaked · ${result.cakeAmount} CAKE harvested`,
+      tx: result.unstakeTx
+    }));
+
+  const handleHarvest = (tokenIds, busyKey) =>
+    handleFarmAction(busyKey, () => harvestFarmRewards(tokenIds, signer), (result) => ({
+      message: `Harvested ${result.cakeAmount} CAKE`,
+      tx: result.harvestTx
+    }));
+
+  const handleCollect = async (tokenIds, busyKey) => {
+    setBusyTokenId(busyKey);
+    setError(null);
+    setNotice(null);
+    try {
+      const result = await collectPositionFees(tokenIds, signer, { swapToUsdt: swapFeesToUsdt });
+      if (result.success) {
+        setNotice({
+          message: `Collected fees from ${result.collected.length} position${result.collected.length === 1 ? '' : 's'}${
+            result.swapTxs.length > 0 ? ` · ${result.usdtAmount} USDT received` : ''
+          }`,
+          tx: result.collectTx
+        });
+        onActivity?.();
+        await loadPositions();
+      } else {
+        setError(result.suggestion ? `${result.error} ${result.suggestion.label}.` : result.error || 'Fee collection failed. Please try again.');
+      }
+    } catch (err) {
+      console.error("[handleCollect] Error:", {
+        error: err.message,
+        stack: err.stack,
+        code: err.code
+      });
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setBusyTokenId(null);
+    }
+  };
+
+  const hasFees = (position) => position.fees0Raw > 0n || position.fees1Raw > 0n;
+  const claimableIds = positions.filter((position) => !position.staked && hasFees(position)).map((position) => position.tokenId);
+  const harvestableIds = positions
+    .filter((position) => position.staked && position.pendingCakeRaw > 0n)
+    .map((position) => position.tokenId);
+  const totalPendingCake = positions.reduce((sum, position) => sum + Number(position.pendingCake), 0);
+  // Range orders sit outside the price by design.
+  const outOfRange = positions.filter((position) => !position.closed && !position.inRange && !position.rangeOrder);
+  const filledOrders = positions.filter((position) => position.rangeOrder?.status === RANGE_ORDER_STATUS.FILLED);
+  const totalFeesUsdt = positions
+    .filter((position) => !position.staked)
+    .reduce((sum, position) => sum + (position.feesUsdt ?? 0), 0);
+
+  useEffect(() => {
+    loadPositions();
+  }, [loadPositions, refreshKey]);
+
+  return (
+    <div className="positions">
+      <div className="positions-header">
+        <h2>My Positions</h2>
+        <button className="refresh-btn" onClick={loadPositions} disabled={loading}>
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      {outOfRange.length > 0 && (
+        <p className="positions-warning">
+          {outOfRange.length === 1 ? '1 position is' : `${outOfRange.length} positions are`} out of range and not
+          earning fees: {outOfRange.map((position) => `#${position.tokenId}`).join(', ')}
+        </p>
+      )}
+
+      {filledOrders.length > 0 && (
+        <p className="positions-notice">
+          {filledOrders.length === 1 ? '1 range order has' : `${filledOrders.length} range orders have`} filled and
+          can be withdrawn: {filledOrders.map((position) => `#${position.tokenId}`).join(', ')}
+        </p>
+      )}
+
+      {harvestableIds.length > 0 && (
+        <div className="collect-all">
+          <span>Pending farm rewards: {formatAmount(totalPendingCake)} CAKE</span>
+          <button
+            className="action-btn"
+            onClick={() => handleHarvest(harvestableIds, 'harvest')}
+            disabled={busyTokenId !== null}
+          >
+            {busyTokenId === 'harvest' ? 'Harvesting...' : 'Harvest all'}
+          </button>
+        </div>
+      )}
+
+      {claimableIds.length > 0 && (
+        <div className="collect-all">
+          <span>Unclaimed fees: ~{totalFeesUsdt.toFixed(4)} USDT</span>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={swapFeesToUsdt}
+              onChange={(e) => setSwapFeesToUsdt(e.target.checked)}
+              disabled={busyTokenId !== null}
+            />
+            Swap collected fees to USDT
+          </label>
+          <button
+            className="action-btn"
+            onClick={() => handleCollect(claimableIds, 'all')}
+            disabled={busyTokenId !== null}
+          >
+            {busyTokenId === 'all' ? 'Collecting...' : 'Collect all'}
+          </button>
+        </div>
+      )}
+
+      {notice && (
+        <p className="positions-notice">
+          {notice.message}
+          {' · '}
+          <a href={getExplorerTxUrl(chainId, notice.tx)} target="_blank" rel="noopener noreferrer">View transaction</a>
+        </p>
+      )}
+
+      {error && <p className="positions-error">{error}</p>}
+      {!loading && !error && positions.length === 0 && (
+        <p className="positions-empty">No positions found for this wallet.</p>
+      )}
+
+      {positions.map((position) => (
+        <div key={position.tokenId} className="position-card">
+          <div className="position-title">
+            <span>
+              #{position.tokenId} {position.symbol0}/{position.symbol1} · {formatFeeTier(position.fee)}
+            </span>
+            <span>
+              {position.staked && <span className="position-badge staked">Staked</span>}{' '}
+              {position.rangeOrder ? (
+                <span
+                  className={`position-badge ${
+                    position.rangeOrder.status === RANGE_ORDER_STATUS.FILLED ? 'filled' : 'range-order'
+                  }`}
+                >
+                  {position.rangeOrder.side === RANGE_ORDER_SIDES.BUY ? 'Buy' : 'Sell'} order ·{' '}
+                  {RANGE_ORDER_LABELS[position.rangeOrder.status]}
+                </span>
+              ) : (
+                <span
+                  className={`position-badge ${position.closed ? 'closed' : position.inRange ? 'in-range' : 'out-of-range'}`}
+                >
+                  {position.closed ? 'Closed' : position.inRange ? 'In range' : 'Out of range'}
+                </span>
+              )}
+            </span>
+          </div>
+          <p>
+            Range ({position.quoteSymbol} per {position.baseSymbol}):{' '}
+            {position.range.fullRange
+              ? 'Full range'
+              : `${formatPrice(position.range.minPrice)} – ${formatPrice(position.range.maxPrice)}`}
+          </p>
+          <p>Current price: {formatPrice(position.range.currentPrice)}</p>
+          {position.rangeOrder?.status === RANGE_ORDER_STATUS.FILLED && (
+            <p className="position-hint">
+              Fully crossed: this order now holds only {position.rangeOrder.boughtSymbol}. Withdraw it before the price
+              moves back into the range.
+            </p>
+          )}
+          <p>
+            Liquidity: {formatAmount(position.amount0)} {position.symbol0} + {formatAmount(position.amount1)} {position.symbol1}
+          </p>
+          <p>
+            Uncollected fees: {formatAmount(position.fees0)} {position.symbol0} + {formatAmount(position.fees1)} {position.symbol1}
+            {position.feesUsdt !== null && ` (~${position.feesUsdt.toFixed(4)} USDT)`}
+          </p>
+          {position.analytics && (
+            <div className="position-analytics">
+              <p>
+                Value: {formatUsdt(position.analytics.currentValue)} · Deposited:{' '}
+                {formatUsdt(position.analytics.depositedValue)} · PnL:{' '}
+                <span className={position.analytics.pnl < 0 ? 'negative' : 'positive'}>
+                  {formatUsdt(position.analytics.pnl, true)}
+                </span>
+              </p>
+              <p>
+                vs. holding: {formatUsdt(position.analytics.impermanentLoss, true)} (
+                {formatPercent(position.analytics.impermanentLossPercent)} impermanent loss)
+              </p>
+              <p>
+                Fees earned: {formatUsdt(position.analytics.feesEarned)} · Fee APR:{' '}
+                {position.analytics.feeApr === null ? '—' : `${position.analytics.feeApr.toFixed(2)}%`}
+              </p>
+            </div>
+          )}
+          {position.staked ? (
+            <>
+              <p>Pending farm rewards: {formatAmount(position.pendingCake)} CAKE</p>
+              <div className="position-actions">
+                <button
+                  className="action-btn secondary"
+                  onClick={() => handleHarvest([position.tokenId], `harvest:${position.tokenId}`)}
+                  disabled={position.pendingCakeRaw === 0n || busyTokenId !== null}
+                >
+                  {busyTokenId === `harvest:${position.tokenId}` ? 'Harvesting...' : 'Harvest CAKE'}
+                </button>
+                <button
+                  className="action-btn secondary"
+                  onClick={() => handleUnstake(position)}
+                  disabled={busyTokenId !== null}
+                >
+                  {busyTokenId === `unstake:${position.tokenId}` ? 'Unstaking...' : 'Unstake'}
+                </button>
+              </div>
+              <small className="position-hint">Unstake to add liquidity, withdraw, rebalance or collect swap fees.</small>
+            </>
+          ) : (
+            <div className="position-actions">
+              <button
+                className="action-btn secondary"
+                onClick={() => onAddLiquidity?.(position)}
+                disabled={busyTokenId !== null}
+              >
+                Add liquidity
+              </button>
+              <button
+                className="action-btn secondary"
+                onClick={() => toggleAction(position.tokenId, 'withdraw')}
+                disabled={(position.closed && position.fees0Raw === 0n && position.fees1Raw === 0n) || busyTokenId !== null}
+              >
+                Withdraw
+              </button>
+              <button
+                className="action-btn secondary"
+                onClick={() => handleZapOut(position)}
+                disabled={position.closed || busyTokenId !== null}
+              >
+                {busyTokenId === position.tokenId ? 'Zapping out...' : 'Zap out to USDT'}
+              </button>
+              {!position.closed && !position.inRange && !position.rangeOrder && (
+                <button
+                  className="action-btn"
+                  onClick={() => handleRebalance(position)}
+                  disabled={busyTokenId !== null}
+                  title="Remove this position and re-add it in a range of the same width centered on the current price"
+                >
+                  {busyTokenId === `rebalance:${position.tokenId}` ? 'Rebalancing...' : 'Rebalance'}
+                </button>
+              )}
+              <button
+                className="action-btn secondary"
+                onClick={() => handleCollect([position.tokenId], `collect:${position.tokenId}`)}
+                disabled={!hasFees(position) || busyTokenId !== null}
+              >
+                {busyTokenId === `collect:${position.tokenId}` ? 'Collecting...' : 'Collect fees'}
+              </button>
+              {position.farmPid > 0 && !position.closed && (
+                <button
+                  className="action-btn secondary"
+                  onClick={() => handleStake(position)}
+                  disabled={busyTokenId !== null}
+                >
+                  {busyTokenId === `stake:${position.tokenId}` ? 'Staking...' : 'Stake in farm'}
+                </button>
+              )}
+            </div>
+          )}
+          {activeAction === `${position.tokenId}:withdraw` && (
+            <RemoveLiquidityForm
+              position={position}
+              signer={signer}
+              chainId={chainId}
+              busyTokenId={busyTokenId}
+              setBusy={setBusyTokenId}
+              onDone={() => {
+                onActivity?.();
+                loadPositions();
+              }}
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
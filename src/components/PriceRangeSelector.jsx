@@ -0,0 +1,93 @@
+import { RANGE_PRESETS, getPresetRange, getRangeTicks, describeRange } from '../utils/range.js';
+
+function formatPrice(value) {
+  if (!Number.isFinite(value)) return '∞';
+  if (value === 0) return '0';
+  return value < 1 ? value.toPrecision(4) : value.toFixed(4);
+}
+
+function formatPercent(value) {
+  if (!Number.isFinite(value)) return '';
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+export default function PriceRangeSelector({ pool, range, onChange, disabled }) {
+  const selectPreset = (presetId) => {
+    const next = pool ? getPresetRange(pool.price, presetId) : { fullRange: presetId === 'full' };
+    onChange({ preset: presetId, ...next });
+  };
+
+  const setBound = (key, value) => {
+    onChange({ ...range, preset: 'custom', fullRange: false, [key]: value });
+  };
+
+  let preview = null;
+  let previewError = null;
+  if (pool) {
+    try {
+      const { tickLower, tickUpper } = getRangeTicks(
+        range,
+        pool.tickSpacing,
+        pool.isToken0A,
+        pool.tokenADecimals,
+        pool.tokenBDecimals
+      );
+      preview = describeRange(
+        tickLower,
+        tickUpper,
+        pool.tick,
+        pool.tickSpacing,
+        pool.isToken0A,
+        pool.tokenADecimals,
+        pool.tokenBDecimals
+      );
+    } catch (err) {
+      previewError = err.message;
+    }
+  }
+
+  return (
+    <div className="input-group">
+      <label>Price Range ({pool?.tokenBSymbol ?? 'Token B'} per {pool?.tokenASymbol ?? 'Token A'})</label>
+      <div className="preset-group">
+        {RANGE_PRESETS.map((preset) => (
+          <button
+            key={preset.id}
+            type="button"
+            className={`preset-btn${range.preset === preset.id ? ' active' : ''}`}
+            onClick={() => selectPreset(preset.id)}
+            disabled={disabled || (!pool && preset.percent !== null)}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+      <div className="range-inputs">
+        <input
+          type="number"
+          value={range.fullRange ? '' : range.minPrice ?? ''}
+          onChange={(e) => setBound('minPrice', e.target.value)}
+          placeholder="Min price"
+          disabled={disabled || !pool}
+        />
+        <input
+          type="number"
+          value={range.fullRange ? '' : range.maxPrice ?? ''}
+          onChange={(e) => setBound('maxPrice', e.target.value)}
+          placeholder="Max price"
+          disabled={disabled || !pool}
+        />
+      </div>
+      {pool && <small>Current price: {formatPrice(pool.price)} {pool.tokenBSymbol}</small>}
+      {preview && (
+        <small>
+          {preview.fullRange
+            ? 'Full range: 0 – ∞'
+            : `Range: ${formatPrice(preview.minPrice)} (${formatPercent(preview.minPercent)}) – ${formatPrice(preview.maxPrice)} (${formatPercent(preview.maxPercent)})`}
+          {' · ticks '}{preview.tickLower} / {preview.tickUpper}
+        </small>
+      )}
+      {previewError && <small className="range-error">{previewError}</small>}
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import { withdrawLiquidity } from '../utils/liquidityProvider.js';
+import { getExplorerTxUrl } from '../utils/network.js';
+
+const PERCENT_OPTIONS = [25, 50, 75, 100];
+
+export default function RemoveLiquidityForm({ position, signer, chainId, busyTokenId, setBusy, onDone }) {
+  const [percent, setPercent] = useState(100);
+  const [burn, setBurn] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleWithdraw = async () => {
+    setLoading(true);
+    setBusy(`withdraw:${position.tokenId}`);
+    setError(null);
+    setResult(null);
+
+    try {
+      const result = await withdrawLiquidity(position.tokenId, percent, signer, { burn });
+      if (result.success) {
+        setResult(result);
+        onDone?.(result);
+      } else {
+        setError(result.suggestion ? `${result.error} ${result.suggestion.label}.` : result.error || 'Withdrawal failed. Please try again.');
+      }
+    } catch (err) {
+      console.error("[handleWithdraw] Error:", {
+        error: err.message,
+        stack: err.stack,
+        code: err.code
+      });
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="position-action">
+      <div className="preset-group">
+        {PERCENT_OPTIONS.map((option) => (
+          <button
+            key={option}
+            type="button"
+            className={`preset-btn${percent === option ? ' active' : ''}`}
+            onClick={() => setPercent(option)}
+            disabled={loading}
+          >
+            {option}%
+          </button>
+        ))}
+      </div>
+      {percent === 100 && (
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={burn}
+            onChange={(e) => setBurn(e.target.checked)}
+            disabled={loading}
+          />
+          Burn the NFT after withdrawing
+        </label>
+      )}
+      <button className="action-btn" onClick={handleWithdraw} disabled={loading || busyTokenId !== null}>
+        {loading ? 'Withdrawing...' : `Withdraw ${percent}%`}
+      </button>
+      {error && <p className="positions-error">{error}</p>}
+      {result && (
+        <p>
+          Received {result.amount0} {result.symbol0} + {result.amount1} {result.symbol1}
+          {' · '}
+          <a href={getExplorerTxUrl(chainId, result.removeTx)} target="_blank" rel="noopener noreferrer">View transaction</a>
+        </p>
+      )}
+    </div>
+  );
+}
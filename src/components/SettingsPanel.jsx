@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { APPROVAL_POLICIES, getSettings, saveSettings } from '../utils/settings.js';
+
+const SLIPPAGE_PRESETS = [0.1, 0.5, 1];
+
+export default function SettingsPanel({ onClose }) {
+  const [draft, setDraft] = useState(getSettings);
+  const [error, setError] = useState(null);
+
+  const update = (key, value) => {
+    setDraft((current) => ({ ...current, [key]: value }));
+    setError(null);
+  };
+
+  const handleSave = () => {
+    try {
+      saveSettings(draft);
+      onClose?.();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="settings-panel">
+      <div className="input-group">
+        <label>Slippage Tolerance (%)</label>
+        <div className="preset-group">
+          {SLIPPAGE_PRESETS.map((preset) => (
+            <button
+              key={preset}
+              type="button"
+              className={`preset-btn${Number(draft.slippage) === preset ? ' active' : ''}`}
+              onClick={() => update('slippage', preset)}
+            >
+              {preset}%
+            </button>
+          ))}
+          <input
+            type="number"
+            value={draft.slippage}
+            onChange={(e) => update('slippage', e.target.value)}
+            step="0.1"
+          />
+        </div>
+        <small>Applied to swaps, mints and withdrawals as the minimum accepted amount</small>
+      </div>
+
+      <div className="input-group">
+        <label>Transaction Deadline (minutes)</label>
+        <input
+          type="number"
+          value={draft.deadlineMinutes}
+          onChange={(e) => update('deadlineMinutes', e.target.value)}
+        />
+      </div>
+
+      <div className="range-inputs">
+        <div className="input-group">
+          <label>Warn Above Impact (%)</label>
+          <input
+            type="number"
+            value={draft.priceImpactWarning}
+            onChange={(e) => update('priceImpactWarning', e.target.value)}
+          />
+        </div>
+        <div className="input-group">
+          <label>Block Above Impact (%)</label>
+          <input
+            type="number"
+            value={draft.priceImpactLimit}
+            onChange={(e) => update('priceImpactLimit', e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="input-group">
+        <label>Token Approvals</label>
+        <select
+          value={draft.approvalPolicy}
+          onChange={(e) => update('approvalPolicy', e.target.value)}
+        >
+          <option value={APPROVAL_POLICIES.EXACT}>Exact amount per transaction</option>
+          <option value={APPROVAL_POLICIES.UNLIMITED}>Unlimited (fewer approvals)</option>
+        </select>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={draft.usePermit}
+            onChange={(e) => update('usePermit', e.target.checked)}
+          />
+          Sign permits instead of approving when the token supports it
+        </label>
+      </div>
+
+      {error && <small className="range-error">{error}</small>}
+      <button className="invest-btn" onClick={handleSave}>Save Settings</button>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { fetchTokenList, getTokenLists, importTokenList, removeTokenList } from '../utils/tokens.js';
+
+export default function TokenListsPanel({ onChange }) {
+  const [lists, setLists] = useState(getTokenLists);
+  const [url, setUrl] = useState('');
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const afterImport = ({ name, count }) => {
+    setLists(getTokenLists());
+    setMessage(`Imported ${count} tokens from ${name}`);
+    setError(null);
+    onChange?.();
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    try {
+      afterImport(importTokenList(JSON.parse(await file.text()), file.name));
+    } catch (err) {
+      setMessage(null);
+      setError(err instanceof SyntaxError ? 'The file is not valid JSON.' : err.message);
+    }
+  };
+
+  const handleUrl = async () => {
+    setImporting(true);
+    try {
+      afterImport(await fetchTokenList(url));
+      setUrl('');
+    } catch (err) {
+      setMessage(null);
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleRemove = (name) => {
+    removeTokenList(name);
+    setLists(getTokenLists());
+    onChange?.();
+  };
+
+  return (
+    <div className="settings-panel">
+      <div className="input-group">
+        <label>Import Token List (JSON file)</label>
+        <input type="file" accept=".json,application/json" onChange={(e) => handleFile(e.target.files[0])} />
+      </div>
+
+      <div className="input-group">
+        <label>Import Token List (URL)</label>
+        <div className="preset-group">
+          <input
+            type="text"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="/tokenlist.json"
+          />
+          <button type="button" className="preset-btn" onClick={handleUrl} disabled={!url || importing}>
+            {importing ? 'Loading...' : 'Import'}
+          </button>
+        </div>
+      </div>
+
+      {message && <small>{message}</small>}
+      {error && <small className="range-error">{error}</small>}
+
+      {lists.map((list) => (
+        <div key={list.name} className="token-list-row">
+          <span>
+            {list.name} ({list.tokens.length} tokens)
+          </span>
+          <button type="button" className="preset-btn" onClick={() => handleRemove(list.name)}>
+            Remove
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
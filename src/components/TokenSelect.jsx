@@ -0,0 +1,103 @@
+import { useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { NATIVE } from '../config/contracts.js';
+import { getChain } from '../utils/network.js';
+import { getTokenBalance } from '../utils/pancakeswap.js';
+import { getTokenMetadata, getTokenStatus, TOKEN_STATUS } from '../utils/tokens.js';
+
+const CUSTOM = 'custom';
+
+export default function TokenSelect({
+  label,
+  value,
+  options,
+  onChange,
+  disabled,
+  hint,
+  provider,
+  account,
+  chainId,
+  refreshKey
+}) {
+  const [custom, setCustom] = useState(false);
+  const [details, setDetails] = useState(null);
+  const [detailsError, setDetailsError] = useState(null);
+  const isKnown = options.some((option) => option.value.toLowerCase() === value.toLowerCase());
+  const showCustom = custom || !isKnown;
+
+  useEffect(() => {
+    setDetails(null);
+    setDetailsError(null);
+    if (!provider || (value !== NATIVE && !ethers.isAddress(value))) return;
+
+    let cancelled = false;
+    const load = async () => {
+      if (value === NATIVE) {
+        const balance = account ? await provider.getBalance(account) : null;
+        const { name, symbol, decimals } = getChain(chainId).nativeCurrency;
+        return { name, symbol, decimals, balance, status: TOKEN_STATUS.KNOWN };
+      }
+      const metadata = await getTokenMetadata(value, provider);
+      const balance = account ? await getTokenBalance(value, account, provider) : null;
+      return { ...metadata, balance, ...getTokenStatus(value, chainId) };
+    };
+    load()
+      .then((loaded) => {
+        if (!cancelled) setDetails(loaded);
+      })
+      .catch((err) => {
+        console.error("[TokenSelect] Error:", {
+          error: err.message,
+          value
+        });
+        if (!cancelled) setDetailsError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, account, chainId, value, refreshKey]);
+
+  const handleSelect = (selected) => {
+    setCustom(selected === CUSTOM);
+    if (selected !== CUSTOM) onChange(selected);
+  };
+
+  return (
+    <div className="input-group">
+      <label>{label}</label>
+      <select
+        value={showCustom ? CUSTOM : options.find((option) => option.value.toLowerCase() === value.toLowerCase()).value}
+        onChange={(e) => handleSelect(e.target.value)}
+        disabled={disabled}
+      >
+        {options.map((option) => (
+          <option key={option.value || 'default'} value={option.value}>{option.label}</option>
+        ))}
+        <option value={CUSTOM}>Custom address...</option>
+      </select>
+      {showCustom && (
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => onChange(e.target.value.trim())}
+          placeholder="0x..."
+          disabled={disabled}
+        />
+      )}
+      {details && (
+        <small>
+          {details.name} ({details.symbol}) · {details.decimals} decimals
+          {details.balance !== null && ` · Balance: ${ethers.formatUnits(details.balance, details.decimals)}`}
+        </small>
+      )}
+      {details?.status === TOKEN_STATUS.LISTED && <small>Listed in {details.listName}</small>}
+      {details?.status === TOKEN_STATUS.UNLISTED && (
+        <small className="token-warning">
+          This token is not on the built-in list or any imported list. Anyone can deploy a token with any name, so check the address before investing.
+        </small>
+      )}
+      {detailsError && <small className="range-error">{detailsError}</small>}
+      {hint && <small>{hint}</small>}
+    </div>
+  );
+}
@@ -0,0 +1,16 @@
+export default function WalletPicker({ wallets, onSelect, disabled }) {
+  if (wallets.length === 0) {
+    return <p className="wallet-empty">No wallet found. Please install MetaMask or another Web3 wallet.</p>;
+  }
+
+  return (
+    <div className="wallet-picker">
+      {wallets.map((wallet) => (
+        <button key={wallet.id} className="connect-btn" onClick={() => onSelect(wallet)} disabled={disabled}>
+          {wallet.icon && <img src={wallet.icon} alt="" />}
+          Connect {wallet.name}
+        </button>
+      ))}
+    </div>
+  );
+}
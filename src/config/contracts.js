@@ -1,18 +1,116 @@
 export const BNB_CHAIN_ID = 56;
 export const BNB_TESTNET_CHAIN_ID = 97;
 
+export const ETHEREUM_CHAIN_ID = 1;
+export const ARBITRUM_CHAIN_ID = 42161;
+export const BASE_CHAIN_ID = 8453;
+export const ZKSYNC_CHAIN_ID = 324;
+export const OPBNB_CHAIN_ID = 204;
+
+// Network details used for wallet_addEthereumChain, explorer links and the
+// wrapped native token (a key of TOKENS[chainId]).
+export const CHAINS = {
+  56: {
+    name: "BNB Chain",
+    nativeCurrency: { name: "BNB", symbol: "BNB", decimals: 18 },
+    wrappedNative: "WBNB",
+    rpcUrls: ["https://bsc-dataseed.bnbchain.org"],
+    explorer: "https://bscscan.com",
+  },
+  97: {
+    name: "BNB Chain Testnet",
+    nativeCurrency: { name: "tBNB", symbol: "tBNB", decimals: 18 },
+    wrappedNative: "WBNB",
+    rpcUrls: ["https://data-seed-prebsc-1-s1.bnbchain.org:8545"],
+    explorer: "https://testnet.bscscan.com",
+  },
+  1: {
+    name: "Ethereum",
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    wrappedNative: "WETH",
+    rpcUrls: ["https://ethereum-rpc.publicnode.com"],
+    explorer: "https://etherscan.io",
+  },
+  42161: {
+    name: "Arbitrum One",
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    wrappedNative: "WETH",
+    rpcUrls: ["https://arb1.arbitrum.io/rpc"],
+    explorer: "https://arbiscan.io",
+  },
+  8453: {
+    name: "Base",
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    wrappedNative: "WETH",
+    rpcUrls: ["https://mainnet.base.org"],
+    explorer: "https://basescan.org",
+  },
+  324: {
+    name: "zkSync Era",
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    wrappedNative: "WETH",
+    rpcUrls: ["https://mainnet.era.zksync.io"],
+    explorer: "https://explorer.zksync.io",
+  },
+  204: {
+    name: "opBNB",
+    nativeCurrency: { name: "BNB", symbol: "BNB", decimals: 18 },
+    wrappedNative: "WBNB",
+    rpcUrls: ["https://opbnb-mainnet-rpc.bnbchain.org"],
+    explorer: "https://opbnb.bscscan.com",
+  },
+};
+
+// PancakeSwap V3 uses the same CREATE2 addresses on every EVM chain except
+// zkSync Era.
+const V3_CONTRACTS = {
+  NONFUNGIBLE_POSITION_MANAGER: "0x46A15B0b27311cedF172AB29E4f4766fbE7F4364",
+  SWAP_ROUTER: "0x13f4EA83D0bd40E75C8222255bc855a974568Dd4",
+  FACTORY: "0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865",
+  QUOTER: "0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997",
+  PERMIT2: "0x31c2F6fcFf4F8759b3Bd5Bf0e1084A36e2EC2D3c",
+  MULTICALL3: "0xcA11bde05977b3631167028862bE2a173976CA11",
+};
+
+// MasterChef V3 farms reward staked LP NFTs with CAKE.
 export const CONTRACTS = {
   56: {
-    NONFUNGIBLE_POSITION_MANAGER: "0x46A15B0b27311cedF172AB29E4f4766fbE7F4364",
-    SWAP_ROUTER: "0x13f4EA83D0bd40E75C8222255bc855a974568Dd4",
-    FACTORY: "0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865",
-    QUOTER: "0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997",
+    ...V3_CONTRACTS,
+    MASTERCHEF_V3: "0x556B9306565093C855AEA9AE92A594704c2Cd59e",
   },
   97: {
     NONFUNGIBLE_POSITION_MANAGER: "0x427bF5b37357632377eCbEC9de3626C5A1e68c9A",
     SWAP_ROUTER: "0x1b81D678ffb9C0263b24A97847620C99d213eB14",
     FACTORY: "0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865",
     QUOTER: "0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997",
+    PERMIT2: "0x31c2F6fcFf4F8759b3Bd5Bf0e1084A36e2EC2D3c",
+    MULTICALL3: "0xcA11bde05977b3631167028862bE2a173976CA11",
+    MASTERCHEF_V3: "0x4c650FB471fe4e0f476fD3437C3411B1122c4e3B",
+  },
+  1: {
+    ...V3_CONTRACTS,
+    MASTERCHEF_V3: "0x556B9306565093C855AEA9AE92A594704c2Cd59e",
+  },
+  42161: {
+    ...V3_CONTRACTS,
+    MASTERCHEF_V3: "0x5e09ACf80C0296740eC5d6F643005a4ef8DaA694",
+  },
+  8453: {
+    ...V3_CONTRACTS,
+    MASTERCHEF_V3: "0xC6A2Db661D5a5690172d8eB0a7DEA2d3008665A3",
+  },
+  324: {
+    NONFUNGIBLE_POSITION_MANAGER: "0xa815e2eD7f7d5B0c49fda367F249232a1B9D2883",
+    SWAP_ROUTER: "0xf8b59f3c3Ab33200ec80a8A58b2aA5F5D2a8944C",
+    FACTORY: "0x1BB72E0CbbEA93c08f535fc7856E0338D7F7a8aB",
+    QUOTER: "0x3d146FcE6c1006857750cBe8aF44f76a28041CCc",
+    PERMIT2: "0x686FD50007EaA636F01154d660b96110B6bFe351",
+    MULTICALL3: "0xF9cda624FBC7e059355ce98a31693d299FACd963",
+    MASTERCHEF_V3: "0x4c615E78c5fCA1Ad31e4d66eb0D8688d84307463",
+  },
+  204: {
+    ...V3_CONTRACTS,
+    MASTERCHEF_V3: "0x05ddEDd07C51739d2aE21F6A9d97a8d69C2C3aaA",
   },
 };
 
@@ -27,7 +125,36 @@ export const TOKENS = {
     WBNB: "0xae13d989daC2f0dEbFf460aC112a837C89BAa7cd",
     CAKE: "0xFa60D973F7642B748046464e165A65B7323b0DEE",
   },
+  1: {
+    USDT: "0xdAC17F958D2ee523a2206206994597C13D831ec7",
+    WETH: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
+    CAKE: "0x152649eA73beAb28c5b49B26eb48f7EAD6d4c898",
+  },
+  42161: {
+    USDT: "0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9",
+    WETH: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1",
+    CAKE: "0x1b896893dfc86bb67Cf57767298b9073D2c1bA2c",
+  },
+  8453: {
+    USDT: "0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2",
+    WETH: "0x4200000000000000000000000000000000000006",
+    CAKE: "0x3055913c90Fcc1A6CE9a358911721eEb942013A1",
+  },
+  324: {
+    USDT: "0x493257fD37EDB34451f62EDf8D2a0C418852bA4C",
+    WETH: "0x5AEa5775959fBC2557Cc8789bC1bf90A239D9a91",
+    CAKE: "0x3A287a06c66f9E95a56327185cA2BDF5f031cEcD",
+  },
+  204: {
+    USDT: "0x9e5AAC1Ba1a2e6aEd6b32689DFcF62A509Ca96f3",
+    WBNB: "0x4200000000000000000000000000000000000006",
+    CAKE: "0x2779106e4F4A8A28d77A24c18283651a2AE22D1C",
+  },
 };
 
+// Funding option for paying with the chain's native currency, wrapped on the
+// way in.
+export const NATIVE = "native";
+
 export const DEFAULT_TOKEN_A = "CAKE";
 export const DEFAULT_TOKEN_B = "USDT";
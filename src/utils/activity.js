@@ -0,0 +1,211 @@
+import { ethers } from "ethers";
+import { getNativeSymbol, getWrappedNative } from "./network.js";
+import { getTokenUsdtPrice } from "./positions.js";
+
+const STORAGE_PREFIX = "pancakeswap-lp:activity";
+
+export const ACTIVITY_TYPES = {
+  INVEST: "invest",
+  INCREASE: "increase",
+  ROLLBACK: "rollback",
+  WITHDRAW: "withdraw",
+  ZAP_OUT: "zapOut",
+  COLLECT: "collect",
+  REBALANCE: "rebalance",
+  STAKE: "stake",
+  UNSTAKE: "unstake",
+  HARVEST: "harvest",
+};
+
+export const ACTIVITY_LABELS = {
+  [ACTIVITY_TYPES.INVEST]: "Invest",
+  [ACTIVITY_TYPES.INCREASE]: "Increase",
+  [ACTIVITY_TYPES.ROLLBACK]: "Roll back",
+  [ACTIVITY_TYPES.WITHDRAW]: "Withdraw",
+  [ACTIVITY_TYPES.ZAP_OUT]: "Zap out",
+  [ACTIVITY_TYPES.COLLECT]: "Collect fees",
+  [ACTIVITY_TYPES.REBALANCE]: "Rebalance",
+  [ACTIVITY_TYPES.STAKE]: "Stake",
+  [ACTIVITY_TYPES.UNSTAKE]: "Unstake",
+  [ACTIVITY_TYPES.HARVEST]: "Harvest CAKE",
+};
+
+const CSV_COLUMNS = [
+  "date",
+  "type",
+  "chainId",
+  "account",
+  "tokenId",
+  "direction",
+  "symbol",
+  "token",
+  "amount",
+  "priceUsdt",
+  "valueUsdt",
+  "gasPaid",
+  "nativeSymbol",
+  "gasPaidUsdt",
+  "feesUsdt",
+  "txs",
+];
+
+function getStorageKey(chainId, account) {
+  return `${STORAGE_PREFIX}:${chainId}:${account.toLowerCase()}`;
+}
+
+export function loadActivity(chainId, account) {
+  try {
+    const raw = localStorage.getItem(getStorageKey(chainId, account));
+    return raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.error("[loadActivity] Error:", {
+      error: error.message,
+      chainId,
+      account,
+    });
+    return [];
+  }
+}
+
+export function clearActivity(chainId, account) {
+  localStorage.removeItem(getStorageKey(chainId, account));
+}
+
+async function getGasPaid(txs, provider) {
+  const receipts = await Promise.all(
+    txs.map((hash) => provider.getTransactionReceipt(hash))
+  );
+  return receipts.reduce((sum, receipt) => sum + (receipt?.fee ?? 0n), 0n);
+}
+
+async function getPrice(tokenAddress, provider) {
+  try {
+    return await getTokenUsdtPrice(tokenAddress, provider);
+  } catch {
+    return null;
+  }
+}
+
+// Appends a finished action to the wallet's activity log, with the USDT price
+// of every token involved and the gas paid at the time it ran. `amounts` are
+// `{ direction: "in" | "out" | "deposit", token, symbol, amount }` with
+// `amount` already formatted; `fees` are the swap fees the action collected,
+// `{ tokenId, token, symbol, amount }`, and `liquidity` is what an invest or
+// rebalance added to the position; a rebalance also sets `fromTokenId`.
+// Logging never fails the action it records, so errors are only logged.
+export async function recordActivity(
+  signer,
+  {
+    type,
+    txs,
+    tokenId = null,
+    fromTokenId = null,
+    liquidity = null,
+    amounts = [],
+    fees = [],
+  }
+) {
+  const provider = signer.provider;
+  try {
+    const chainId = Number((await provider.getNetwork()).chainId);
+    const account = await signer.getAddress();
+    const hashes = txs.filter(Boolean);
+    const tokens = [
+      ...new Set([...amounts, ...fees].map(({ token }) => token.toLowerCase())),
+    ];
+
+    const [gasPaid, nativePrice, tokenPrices] = await Promise.all([
+      getGasPaid(hashes, provider),
+      getPrice(getWrappedNative(chainId), provider),
+      Promise.all(tokens.map((token) => getPrice(token, provider))),
+    ]);
+    const gasPaidNative = ethers.formatEther(gasPaid);
+    const withPrice = (amount) => ({
+      ...amount,
+      priceUsdt: tokenPrices[tokens.indexOf(amount.token.toLowerCase())],
+    });
+
+    const entry = {
+      id: `${Date.now()}-${hashes[hashes.length - 1] ?? ""}`,
+      type,
+      timestamp: Date.now(),
+      chainId,
+      account,
+      tokenId: tokenId === null ? null : tokenId.toString(),
+      fromTokenId: fromTokenId === null ? null : fromTokenId.toString(),
+      liquidity: liquidity === null ? null : liquidity.toString(),
+      txs: hashes,
+      amounts: amounts.map(withPrice),
+      fees: fees.map(withPrice),
+      gasPaid: gasPaidNative,
+      gasPaidUsdt:
+        nativePrice === null ? null : Number(gasPaidNative) * nativePrice,
+      nativeSymbol: getNativeSymbol(chainId),
+    };
+
+    localStorage.setItem(
+      getStorageKey(chainId, account),
+      JSON.stringify([entry, ...loadActivity(chainId, account)])
+    );
+    return entry;
+  } catch (error) {
+    console.error("[recordActivity] Error:", {
+      error: error.message,
+      type,
+      txs,
+    });
+    return null;
+  }
+}
+
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// USDT value of the swap fees an entry collected, or null when a price was
+// unavailable.
+export function getFeesUsdt(entry) {
+  return (entry.fees ?? []).reduce(
+    (sum, fee) =>
+      sum === null || fee.priceUsdt === null
+        ? null
+        : sum + Number(fee.amount) * fee.priceUsdt,
+    0
+  );
+}
+
+// One row per token amount. Gas and fees are only on an action's first row so
+// those columns can be summed.
+export function activityToCsv(entries) {
+  const rows = entries.flatMap((entry) => {
+    const amounts = entry.amounts.length > 0 ? entry.amounts : [null];
+    return amounts.map((amount, i) => [
+      new Date(entry.timestamp).toISOString(),
+      entry.type,
+      entry.chainId,
+      entry.account,
+      entry.tokenId,
+      amount?.direction,
+      amount?.symbol,
+      amount?.token,
+      amount?.amount,
+      amount?.priceUsdt,
+      amount && amount.priceUsdt !== null
+        ? Number(amount.amount) * amount.priceUsdt
+        : null,
+      i === 0 ? entry.gasPaid : null,
+      entry.nativeSymbol,
+      i === 0 ? entry.gasPaidUsdt : null,
+      i === 0 ? getFeesUsdt(entry) : null,
+      entry.txs.join(" "),
+    ]);
+  });
+  return [CSV_COLUMNS, ...rows]
+    .map((row) => row.map(toCsvCell).join(","))
+    .join("\n");
+}
+
+export function activityToJson(entries) {
+  return JSON.stringify(entries, null, 2);
+}
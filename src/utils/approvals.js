@@ -0,0 +1,190 @@
+import { ethers } from "ethers";
+import {
+  getContracts,
+  getTokens,
+  getAllowance,
+  approveToken,
+  getTokenSymbol,
+  getTokenDecimals,
+} from "./pancakeswap.js";
+import { getApprovalAmount, getDeadline, getSettings } from "./settings.js";
+import { ERC20_ABI } from "./abis.js";
+import { multicall } from "./rpc.js";
+import { decodeError } from "./errors.js";
+
+const permitDomains = new Map();
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+export function getApprovalSpenders(chainId) {
+  const contracts = getContracts(chainId);
+  return [
+    { address: contracts.SWAP_ROUTER, label: "Swap Router" },
+    {
+      address: contracts.NONFUNGIBLE_POSITION_MANAGER,
+      label: "Position Manager",
+    },
+    contracts.PERMIT2 && { address: contracts.PERMIT2, label: "Permit2" },
+  ].filter(Boolean);
+}
+
+// Returns the token's EIP-712 domain when it implements EIP-2612, or null.
+// The domain is only trusted if it hashes to the token's DOMAIN_SEPARATOR,
+// so a token with a non-standard permit never gets a signature it rejects.
+export async function getPermitDomain(tokenAddress, provider) {
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const key = `${chainId}:${tokenAddress.toLowerCase()}`;
+  if (permitDomains.has(key)) {
+    return permitDomains.get(key);
+  }
+
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+  let domain = null;
+  try {
+    const [name, separator, version] = await Promise.all([
+      token.name(),
+      token.DOMAIN_SEPARATOR(),
+      token.version().catch(() => "1"),
+      token.nonces(ethers.ZeroAddress),
+    ]);
+    const candidate = {
+      name,
+      version,
+      chainId,
+      verifyingContract: tokenAddress,
+    };
+    if (ethers.TypedDataEncoder.hashDomain(candidate) === separator) {
+      domain = candidate;
+    }
+  } catch {}
+
+  permitDomains.set(key, domain);
+  return domain;
+}
+
+export async function canUsePermit(tokenAddress, provider) {
+  return (
+    getSettings().usePermit &&
+    (await getPermitDomain(tokenAddress, provider)) !== null
+  );
+}
+
+// Sends an approve transaction unless the token can be permitted inside the
+// spender's multicall instead; see signPermits.
+export async function approveUnlessPermit(
+  tokenAddress,
+  spender,
+  amount,
+  signer
+) {
+  if (await canUsePermit(tokenAddress, signer.provider)) {
+    return null;
+  }
+  return await approveToken(tokenAddress, spender, amount, signer);
+}
+
+export async function signPermits(requests, spender, signer) {
+  const provider = signer.provider;
+  const owner = await signer.getAddress();
+  const permits = [];
+
+  for (const { token, amount } of requests) {
+    if (amount <= 0n) continue;
+    const allowance = await getAllowance(token, owner, spender, provider);
+    if (allowance >= amount) continue;
+
+    const domain = await getPermitDomain(token, provider);
+    if (!domain) {
+      throw new Error("Token approval is missing. Please try again.");
+    }
+    const contract = new ethers.Contract(token, ERC20_ABI, provider);
+    const value = getApprovalAmount(amount);
+    const deadline = getDeadline();
+
+    try {
+      const signature = ethers.Signature.from(
+        await signer.signTypedData(domain, PERMIT_TYPES, {
+          owner,
+          spender,
+          value,
+          nonce: await contract.nonces(owner),
+          deadline,
+        })
+      );
+      permits.push({
+        token,
+        value,
+        deadline,
+        v: signature.v,
+        r: signature.r,
+        s: signature.s,
+      });
+    } catch (error) {
+      console.error("[signPermits] Error:", {
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+        token,
+        spender,
+        amount: amount.toString(),
+      });
+
+      throw decodeError(
+        error,
+        "Failed to sign token permit. Please try again."
+      );
+    }
+  }
+  return permits;
+}
+
+export async function getWalletAllowances(owner, provider, extraTokens = []) {
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const tokens = [...Object.values(getTokens(chainId)), ...extraTokens].filter(
+    (token, i, all) =>
+      all.findIndex((t) => t.toLowerCase() === token.toLowerCase()) === i
+  );
+  const spenders = getApprovalSpenders(chainId);
+
+  const pairs = tokens.flatMap((token) =>
+    spenders.map((spender) => ({ token, spender }))
+  );
+  const allowances = await multicall(
+    pairs.map(({ token, spender }) => ({
+      contract: new ethers.Contract(token, ERC20_ABI, provider),
+      method: "allowance",
+      args: [owner, spender.address],
+    })),
+    provider
+  );
+  const rows = pairs.map(({ token, spender }, i) => ({
+    token,
+    spender: spender.address,
+    spenderLabel: spender.label,
+    allowance: allowances[i] ?? 0n,
+  }));
+  const active = rows.filter((row) => row.allowance > 0n);
+  const metadata = await Promise.all(
+    active.map((row) =>
+      Promise.all([
+        getTokenSymbol(row.token, provider),
+        getTokenDecimals(row.token, provider),
+      ])
+    )
+  );
+
+  return active.map((row, i) => ({
+    ...row,
+    symbol: metadata[i][0],
+    unlimited: row.allowance >= ethers.MaxUint256 / 2n,
+    amount: ethers.formatUnits(row.allowance, metadata[i][1]),
+  }));
+}
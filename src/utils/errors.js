@@ -0,0 +1,241 @@
+import { ethers } from "ethers";
+
+export const ERROR_TYPES = {
+  USER_REJECTED: "userRejected",
+  INSUFFICIENT_FUNDS: "insufficientFunds",
+  INSUFFICIENT_BALANCE: "insufficientBalance",
+  INSUFFICIENT_ALLOWANCE: "insufficientAllowance",
+  SLIPPAGE: "slippage",
+  DEADLINE: "deadline",
+  PERMIT: "permit",
+  INVALID_RANGE: "invalidRange",
+  NOT_OWNER: "notOwner",
+  NONCE: "nonce",
+  NETWORK: "network",
+  REVERTED: "reverted",
+  UNKNOWN: "unknown",
+};
+
+// What the user can do about an error. `action` is what the UI offers:
+// "settings" opens the settings panel and "review" re-simulates the invest.
+export const SUGGESTIONS = {
+  RAISE_SLIPPAGE: {
+    action: "settings",
+    label: "Raise slippage tolerance",
+  },
+  RAISE_DEADLINE: {
+    action: "settings",
+    label: "Raise the transaction deadline",
+  },
+  REFRESH_QUOTE: { action: "review", label: "Refresh quote" },
+  APPROVE_MORE: {
+    action: "review",
+    label: "Review again to approve the full amount",
+  },
+  TOP_UP: { action: null, label: "Add funds to your wallet" },
+  RETRY: { action: null, label: "Try again in a moment" },
+};
+
+export class TxError extends Error {
+  constructor(type, message, { suggestion = null, reason = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "TxError";
+    this.type = type;
+    this.suggestion = suggestion;
+    this.reason = reason;
+  }
+}
+
+// Revert strings from the PancakeSwap V3 periphery, pools and common ERC-20s.
+const REVERT_REASONS = [
+  {
+    match:
+      /^Too little received$|^Too much requested$|^Insufficient (WETH9|token)$/,
+    type: ERROR_TYPES.SLIPPAGE,
+    message: "The price moved beyond your slippage tolerance.",
+    suggestion: SUGGESTIONS.RAISE_SLIPPAGE,
+  },
+  {
+    match: /^Price slippage check$/,
+    type: ERROR_TYPES.SLIPPAGE,
+    message:
+      "The pool price moved beyond your slippage tolerance before liquidity was added.",
+    suggestion: SUGGESTIONS.REFRESH_QUOTE,
+  },
+  {
+    match: /^Transaction too old$|expired deadline/i,
+    type: ERROR_TYPES.DEADLINE,
+    message: "The transaction deadline passed before it was mined.",
+    suggestion: SUGGESTIONS.RAISE_DEADLINE,
+  },
+  {
+    match: /transfer amount exceeds balance|insufficient ?balance/i,
+    type: ERROR_TYPES.INSUFFICIENT_BALANCE,
+    message: "Your token balance is too low for this transaction.",
+    suggestion: SUGGESTIONS.TOP_UP,
+  },
+  {
+    match: /^STF$|exceeds allowance|insufficient ?allowance/i,
+    type: ERROR_TYPES.INSUFFICIENT_ALLOWANCE,
+    message:
+      "The token could not be transferred: the approval or balance is too low.",
+    suggestion: SUGGESTIONS.APPROVE_MORE,
+  },
+  {
+    match: /^Permit expired$|^Invalid signature$|ERC20Permit/,
+    type: ERROR_TYPES.PERMIT,
+    message: "The signed permit was rejected by the token.",
+    suggestion: SUGGESTIONS.APPROVE_MORE,
+  },
+  {
+    match: /^(TLU|TLM|TUM)$/,
+    type: ERROR_TYPES.INVALID_RANGE,
+    message: "The price range is invalid for this pool.",
+    suggestion: null,
+  },
+  {
+    match: /^Not approved$|^Invalid token ID$/,
+    type: ERROR_TYPES.NOT_OWNER,
+    message: "This position is not owned by the connected wallet.",
+    suggestion: null,
+  },
+];
+
+// Selector of Error(string), the standard require/revert payload.
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+const CUSTOM_ERRORS = new ethers.Interface([
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+]);
+
+function findRevertData(error) {
+  const candidates = [
+    error.data,
+    error.info?.error?.data,
+    error.error?.data,
+    error.info?.error?.data?.data,
+    error.error?.data?.data,
+  ];
+  return candidates.find(
+    (data) =>
+      typeof data === "string" && data.startsWith("0x") && data.length >= 10
+  );
+}
+
+// The revert string, from ethers' decoded reason, raw revert data or the
+// wallet's "execution reverted: ..." message.
+function findRevertReason(error) {
+  if (error.reason) return error.reason;
+  if (error.revert?.args?.[0] !== undefined) {
+    return String(error.revert.args[0]);
+  }
+
+  const data = findRevertData(error);
+  if (data?.startsWith(ERROR_STRING_SELECTOR)) {
+    try {
+      const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(
+        ["string"],
+        ethers.dataSlice(data, 4)
+      );
+      return reason;
+    } catch {
+      // Malformed Error(string) payload.
+    }
+  } else if (data) {
+    try {
+      const custom = CUSTOM_ERRORS.parseError(data);
+      if (custom) return custom.name;
+    } catch {
+      // Not one of the known custom errors.
+    }
+  }
+
+  const messages = [
+    error.info?.error?.message,
+    error.error?.message,
+    error.shortMessage,
+    error.message,
+  ];
+  for (const message of messages) {
+    const match = message?.match(/execution reverted:?\s*"?([^"]+)"?/);
+    if (match) return match[1].trim();
+  }
+  return null;
+}
+
+function isUserRejection(error) {
+  return (
+    error.code === "ACTION_REJECTED" ||
+    error.code === 4001 ||
+    error.info?.error?.code === 4001 ||
+    /user rejected|user denied|rejected by user/i.test(error.message ?? "")
+  );
+}
+
+// Turns anything thrown by ethers, the wallet or a contract call into a
+// TxError. `fallbackMessage` is used when the cause cannot be identified.
+export function decodeError(
+  error,
+  fallbackMessage = "Something went wrong. Please try again."
+) {
+  if (error instanceof TxError) return error;
+
+  if (isUserRejection(error)) {
+    return new TxError(
+      ERROR_TYPES.USER_REJECTED,
+      "Request cancelled in your wallet.",
+      { cause: error }
+    );
+  }
+  if (
+    error.code === "INSUFFICIENT_FUNDS" ||
+    /insufficient funds/i.test(error.message ?? "")
+  ) {
+    return new TxError(
+      ERROR_TYPES.INSUFFICIENT_FUNDS,
+      "Not enough native balance to pay for gas and value.",
+      { suggestion: SUGGESTIONS.TOP_UP, cause: error }
+    );
+  }
+  if (
+    error.code === "NONCE_EXPIRED" ||
+    error.code === "REPLACEMENT_UNDERPRICED"
+  ) {
+    return new TxError(
+      ERROR_TYPES.NONCE,
+      "Another transaction from this wallet is pending or already used this nonce.",
+      { suggestion: SUGGESTIONS.RETRY, cause: error }
+    );
+  }
+
+  const reason = findRevertReason(error);
+  if (reason) {
+    const known = REVERT_REASONS.find(({ match }) => match.test(reason));
+    if (known) {
+      return new TxError(known.type, known.message, {
+        suggestion: known.suggestion,
+        reason,
+        cause: error,
+      });
+    }
+    return new TxError(
+      ERROR_TYPES.REVERTED,
+      `The transaction would fail: ${reason}.`,
+      { suggestion: SUGGESTIONS.REFRESH_QUOTE, reason, cause: error }
+    );
+  }
+
+  if (
+    error.code === "NETWORK_ERROR" ||
+    error.code === "TIMEOUT" ||
+    error.code === "SERVER_ERROR"
+  ) {
+    return new TxError(
+      ERROR_TYPES.NETWORK,
+      "The network request failed. Check your connection.",
+      { suggestion: SUGGESTIONS.RETRY, cause: error }
+    );
+  }
+  return new TxError(ERROR_TYPES.UNKNOWN, fallbackMessage, { cause: error });
+}
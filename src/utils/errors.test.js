@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import { ethers } from "ethers";
+import { ERROR_TYPES, SUGGESTIONS, TxError, decodeError } from "./errors.js";
+
+function revertData(reason) {
+  return ethers.concat([
+    "0x08c379a0",
+    ethers.AbiCoder.defaultAbiCoder().encode(["string"], [reason]),
+  ]);
+}
+
+describe("decodeError", () => {
+  it("passes a TxError through unchanged", () => {
+    const error = new TxError(ERROR_TYPES.SLIPPAGE, "already decoded");
+    expect(decodeError(error)).toBe(error);
+  });
+
+  it("recognizes wallet rejections", () => {
+    for (const error of [
+      { code: "ACTION_REJECTED", message: "rejected" },
+      { code: 4001, message: "nope" },
+      new Error("User denied transaction signature"),
+    ]) {
+      expect(decodeError(error).type).toBe(ERROR_TYPES.USER_REJECTED);
+    }
+  });
+
+  it("recognizes missing gas funds", () => {
+    const decoded = decodeError({ code: "INSUFFICIENT_FUNDS", message: "" });
+    expect(decoded.type).toBe(ERROR_TYPES.INSUFFICIENT_FUNDS);
+    expect(decoded.suggestion).toBe(SUGGESTIONS.TOP_UP);
+  });
+
+  it("recognizes nonce conflicts", () => {
+    expect(decodeError({ code: "NONCE_EXPIRED" }).type).toBe(ERROR_TYPES.NONCE);
+  });
+
+  it("maps ethers' decoded revert reason", () => {
+    const decoded = decodeError({ reason: "Too little received" });
+    expect(decoded.type).toBe(ERROR_TYPES.SLIPPAGE);
+    expect(decoded.suggestion).toBe(SUGGESTIONS.RAISE_SLIPPAGE);
+    expect(decoded.reason).toBe("Too little received");
+  });
+
+  it("decodes raw Error(string) revert data", () => {
+    const decoded = decodeError({
+      message: "call failed",
+      info: { error: { data: revertData("Transaction too old") } },
+    });
+    expect(decoded.type).toBe(ERROR_TYPES.DEADLINE);
+    expect(decoded.suggestion).toBe(SUGGESTIONS.RAISE_DEADLINE);
+  });
+
+  it("decodes known custom errors", () => {
+    const iface = new ethers.Interface([
+      "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+    ]);
+    const data = iface.encodeErrorResult("ERC20InsufficientAllowance", [
+      ethers.ZeroAddress,
+      0n,
+      1n,
+    ]);
+    expect(decodeError({ data, message: "" }).type).toBe(
+      ERROR_TYPES.INSUFFICIENT_ALLOWANCE
+    );
+  });
+
+  it("reads the reason from a wallet's message", () => {
+    const decoded = decodeError(
+      new Error('execution reverted: "Price slippage check"')
+    );
+    expect(decoded.type).toBe(ERROR_TYPES.SLIPPAGE);
+    expect(decoded.suggestion).toBe(SUGGESTIONS.REFRESH_QUOTE);
+  });
+
+  it("reports unknown revert reasons verbatim", () => {
+    const decoded = decodeError({ reason: "LOK" });
+    expect(decoded.type).toBe(ERROR_TYPES.REVERTED);
+    expect(decoded.message).toBe("The transaction would fail: LOK.");
+  });
+
+  it("recognizes network failures", () => {
+    expect(decodeError({ code: "TIMEOUT", message: "timeout" }).type).toBe(
+      ERROR_TYPES.NETWORK
+    );
+  });
+
+  it("falls back to the given message and keeps the cause", () => {
+    const error = new Error("weird");
+    const decoded = decodeError(error, "Failed to stake position.");
+    expect(decoded).toBeInstanceOf(TxError);
+    expect(decoded.type).toBe(ERROR_TYPES.UNKNOWN);
+    expect(decoded.message).toBe("Failed to stake position.");
+    expect(decoded.cause).toBe(error);
+  });
+});
@@ -0,0 +1,157 @@
+import { ethers } from "ethers";
+import { MASTERCHEF_V3_ABI, POSITION_MANAGER_ABI } from "./abis.js";
+import { decodeError } from "./errors.js";
+import { getContracts } from "./pancakeswap.js";
+import { multicall } from "./rpc.js";
+
+async function getChainId(provider) {
+  return Number((await provider.getNetwork()).chainId);
+}
+
+function getMasterChef(chainId, runner) {
+  return new ethers.Contract(
+    getContracts(chainId).MASTERCHEF_V3,
+    MASTERCHEF_V3_ABI,
+    runner
+  );
+}
+
+export function hasFarms(chainId) {
+  return Boolean(getContracts(chainId).MASTERCHEF_V3);
+}
+
+export function getMasterChefAddress(chainId) {
+  return getContracts(chainId).MASTERCHEF_V3;
+}
+
+// Farm pid for each pool, 0 when the pool has no CAKE farm.
+export async function getFarmPids(poolAddresses, provider) {
+  const chainId = await getChainId(provider);
+  if (!hasFarms(chainId)) return poolAddresses.map(() => 0);
+  const masterChef = getMasterChef(chainId, provider);
+  const pids = await multicall(
+    poolAddresses.map((pool) => ({
+      contract: masterChef,
+      method: "v3PoolAddressPid",
+      args: [pool],
+    })),
+    provider
+  );
+  return pids.map((pid) => Number(pid ?? 0n));
+}
+
+// LP NFTs `owner` has staked in MasterChef V3.
+export async function getStakedPositionIds(owner, provider) {
+  const chainId = await getChainId(provider);
+  if (!hasFarms(chainId)) return [];
+  const masterChef = getMasterChef(chainId, provider);
+  const count = Number(await masterChef.balanceOf(owner));
+  const tokenIds = await multicall(
+    Array.from({ length: count }, (_, i) => ({
+      contract: masterChef,
+      method: "tokenOfOwnerByIndex",
+      args: [owner, i],
+    })),
+    provider
+  );
+  return tokenIds.filter((tokenId) => tokenId !== null);
+}
+
+export async function getPendingCake(tokenIds, provider) {
+  const chainId = await getChainId(provider);
+  const masterChef = getMasterChef(chainId, provider);
+  const pending = await multicall(
+    tokenIds.map((tokenId) => ({
+      contract: masterChef,
+      method: "pendingCake",
+      args: [tokenId],
+    })),
+    provider
+  );
+  return pending.map((reward) => reward ?? 0n);
+}
+
+// Staking is a plain NFT transfer: MasterChef V3 deposits the position when
+// it receives it.
+export async function stakeNft(tokenId, signer) {
+  const chainId = await getChainId(signer.provider);
+  try {
+    const owner = await signer.getAddress();
+    const positionManager = new ethers.Contract(
+      getContracts(chainId).NONFUNGIBLE_POSITION_MANAGER,
+      POSITION_MANAGER_ABI,
+      signer
+    );
+    return await positionManager.safeTransferFrom(
+      owner,
+      getContracts(chainId).MASTERCHEF_V3,
+      tokenId
+    );
+  } catch (error) {
+    console.error("[stakeNft] Error:", {
+      error: error.message,
+      stack: error.stack,
+      code: error.code,
+      tokenId: tokenId.toString(),
+    });
+    throw decodeError(error, "Failed to stake position. Please try again.");
+  }
+}
+
+// Returns the NFT to the wallet, harvesting its pending CAKE on the way.
+export async function unstakeNft(tokenId, signer) {
+  const chainId = await getChainId(signer.provider);
+  try {
+    return await getMasterChef(chainId, signer).withdraw(
+      tokenId,
+      await signer.getAddress()
+    );
+  } catch (error) {
+    console.error("[unstakeNft] Error:", {
+      error: error.message,
+      stack: error.stack,
+      code: error.code,
+      tokenId: tokenId.toString(),
+    });
+    throw decodeError(error, "Failed to unstake position. Please try again.");
+  }
+}
+
+export async function harvestCake(tokenIds, signer) {
+  const chainId = await getChainId(signer.provider);
+  const masterChef = getMasterChef(chainId, signer);
+  try {
+    const to = await signer.getAddress();
+    if (tokenIds.length === 1) {
+      return await masterChef.harvest(tokenIds[0], to);
+    }
+    return await masterChef.multicall(
+      tokenIds.map((tokenId) =>
+        masterChef.interface.encodeFunctionData("harvest", [tokenId, to])
+      )
+    );
+  } catch (error) {
+    console.error("[harvestCake] Error:", {
+      error: error.message,
+      stack: error.stack,
+      code: error.code,
+      tokenIds: tokenIds.map((tokenId) => tokenId.toString()),
+    });
+    throw decodeError(error, "Failed to harvest CAKE. Please try again.");
+  }
+}
+
+// CAKE paid out per position by a harvest or unstake transaction.
+export function parseHarvestedCake(receipt) {
+  const iface = new ethers.Interface(MASTERCHEF_V3_ABI);
+  const rewards = {};
+  for (const log of receipt.logs || []) {
+    try {
+      const parsed = iface.parseLog(log);
+      if (parsed?.name === "Harvest") {
+        rewards[parsed.args.tokenId.toString()] = parsed.args.reward;
+      }
+    } catch {}
+  }
+  return rewards;
+}
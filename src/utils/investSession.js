@@ -0,0 +1,98 @@
+const STORAGE_PREFIX = "pancakeswap-lp:invest";
+
+export const INVEST_STEPS = [
+  { id: "findPool", label: "Finding pool..." },
+  { id: "approveSwap", label: "Approving funding token..." },
+  { id: "quote", label: "Getting quote..." },
+  { id: "swap", label: "Swapping..." },
+  { id: "approveMint", label: "Approving tokens..." },
+  { id: "mint", label: "Adding liquidity..." },
+  { id: "stake", label: "Staking in farm..." },
+];
+
+export const SESSION_STATUS = {
+  RUNNING: "running",
+  FAILED: "failed",
+};
+
+function getStorageKey(chainId, account) {
+  return `${STORAGE_PREFIX}:${chainId}:${account.toLowerCase()}`;
+}
+
+export function createInvestSession(chainId, account, params) {
+  return {
+    id: `${Date.now()}`,
+    chainId,
+    account,
+    params,
+    status: SESSION_STATUS.RUNNING,
+    completedSteps: [],
+    failedStep: null,
+    plan: null,
+    swap: null,
+    txs: {},
+    error: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+}
+
+export function loadInvestSession(chainId, account) {
+  try {
+    const raw = localStorage.getItem(getStorageKey(chainId, account));
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.error("[loadInvestSession] Error:", {
+      error: error.message,
+      chainId,
+      account,
+    });
+    return null;
+  }
+}
+
+export function saveInvestSession(session) {
+  session.updatedAt = Date.now();
+  try {
+    localStorage.setItem(
+      getStorageKey(session.chainId, session.account),
+      JSON.stringify(session)
+    );
+  } catch (error) {
+    console.error("[saveInvestSession] Error:", {
+      error: error.message,
+      sessionId: session.id,
+    });
+  }
+}
+
+export function clearInvestSession(chainId, account) {
+  localStorage.removeItem(getStorageKey(chainId, account));
+}
+
+export function isStepDone(session, stepId) {
+  return session.completedSteps.includes(stepId);
+}
+
+export function completeStep(session, stepId) {
+  if (!isStepDone(session, stepId)) {
+    session.completedSteps.push(stepId);
+  }
+  saveInvestSession(session);
+}
+
+export function getStepLabel(stepId) {
+  return INVEST_STEPS.find((step) => step.id === stepId)?.label ?? stepId;
+}
+
+// A swap that has landed leaves the wallet holding the swapped-into tokens,
+// which can either be carried through to the mint or swapped back to the
+// funding token.
+export function canRollBack(session) {
+  return (
+    isStepDone(session, "swap") &&
+    !isStepDone(session, "mint") &&
+    (BigInt(session.swap?.tokenAReceived ?? 0) > 0n ||
+      BigInt(session.swap?.tokenBReceived ?? 0) > 0n)
+  );
+}
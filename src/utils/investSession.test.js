@@ -0,0 +1,97 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  SESSION_STATUS,
+  canRollBack,
+  clearInvestSession,
+  completeStep,
+  createInvestSession,
+  getStepLabel,
+  isStepDone,
+  loadInvestSession,
+  saveInvestSession,
+} from "./investSession.js";
+
+const ACCOUNT = "0xAbC0000000000000000000000000000000000001";
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+beforeEach(() => {
+  vi.stubGlobal("localStorage", createStorage());
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe("invest session persistence", () => {
+  it("saves and reloads a session per chain and account", () => {
+    const session = createInvestSession(56, ACCOUNT, {
+      investmentAmount: "10",
+    });
+    saveInvestSession(session);
+
+    const loaded = loadInvestSession(56, ACCOUNT.toLowerCase());
+    expect(loaded.params).toEqual({ investmentAmount: "10" });
+    expect(loaded.status).toBe(SESSION_STATUS.RUNNING);
+    expect(loadInvestSession(97, ACCOUNT)).toBeNull();
+
+    clearInvestSession(56, ACCOUNT);
+    expect(loadInvestSession(56, ACCOUNT)).toBeNull();
+  });
+
+  it("persists completed steps once", () => {
+    const session = createInvestSession(56, ACCOUNT, {});
+    completeStep(session, "findPool");
+    completeStep(session, "findPool");
+
+    const loaded = loadInvestSession(56, ACCOUNT);
+    expect(loaded.completedSteps).toEqual(["findPool"]);
+    expect(isStepDone(loaded, "findPool")).toBe(true);
+    expect(isStepDone(loaded, "swap")).toBe(false);
+  });
+
+  it("ignores an unreadable stored session", () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    localStorage.setItem(
+      `pancakeswap-lp:invest:56:${ACCOUNT.toLowerCase()}`,
+      "{"
+    );
+    expect(loadInvestSession(56, ACCOUNT)).toBeNull();
+  });
+});
+
+describe("getStepLabel", () => {
+  it("labels known steps and falls back to the id", () => {
+    expect(getStepLabel("mint")).toBe("Adding liquidity...");
+    expect(getStepLabel("custom")).toBe("custom");
+  });
+});
+
+describe("canRollBack", () => {
+  function swapped(tokenAReceived, tokenBReceived, steps = ["swap"]) {
+    return {
+      ...createInvestSession(56, ACCOUNT, {}),
+      completedSteps: steps,
+      swap: { tokenAReceived, tokenBReceived },
+    };
+  }
+
+  it("allows rolling back a landed swap before the mint", () => {
+    expect(canRollBack(swapped("5", "0"))).toBe(true);
+    expect(canRollBack(swapped("0", "5"))).toBe(true);
+  });
+
+  it("refuses once the mint is done or nothing was received", () => {
+    expect(canRollBack(swapped("5", "0", ["swap", "mint"]))).toBe(false);
+    expect(canRollBack(swapped("0", "0"))).toBe(false);
+    expect(canRollBack(createInvestSession(56, ACCOUNT, {}))).toBe(false);
+  });
+});
@@ -1,159 +1,2060 @@
 import { ethers } from "ethers";
-import { FeeAmount } from "@pancakeswap/v3-sdk";
+import { FeeAmount, TICK_SPACINGS } from "@pancakeswap/v3-sdk";
+import { DEFAULT_TOKEN_B, NATIVE } from "../config/contracts.js";
 import {
   getContracts,
   getTokens,
-  approveToken,
-  executeSwap,
   addLiquidity,
-  getSwapQuote,
   getTokenDecimals,
   findAvailablePool,
+  getPoolState,
+  removeLiquidity,
+  parseCollectedAmounts,
+  getTokenBalance,
+  collectFees,
+  increaseLiquidity,
+  getPosition,
+  parseMintedTokenId,
+  parseAddedLiquidity,
+  getAllowance,
+  estimateApproveGas,
+  simulateLiquidity,
+  executeSwapBatch,
+  simulateSwapBatch,
 } from "./pancakeswap.js";
+import {
+  RANGE_ORDER_SIDES,
+  getCenteredTicks,
+  getRangeOrderSide,
+  getRangeTicks,
+  sortTokens,
+  sqrtPriceX96ToPrice,
+} from "./range.js";
+import { getTokenMetadata } from "./tokens.js";
+import { getNativeSymbol, getWrappedNative } from "./network.js";
+import { decodeError } from "./errors.js";
+import { ACTIVITY_TYPES, recordActivity } from "./activity.js";
+import {
+  getFarmPids,
+  harvestCake,
+  parseHarvestedCake,
+  stakeNft,
+  unstakeNft,
+} from "./farms.js";
+import {
+  computeZap,
+  getRangeOrderZap,
+  getRebalanceSwap,
+  getSpotSwapRate,
+} from "./zap.js";
+import {
+  encodePath,
+  findBestRoute,
+  quoteRoute,
+  executeRoute,
+  formatRoute,
+} from "./router.js";
+import { getPositionAmounts, getLiquidityForAmounts } from "./positionMath.js";
+import { getPositionDetails, getTokenUsdtPrice } from "./positions.js";
+import { saveRangeOrder } from "./rangeOrders.js";
+import { applySlippage, checkPriceImpact, getSettings } from "./settings.js";
+import { approveUnlessPermit, canUsePermit, signPermits } from "./approvals.js";
+import {
+  SESSION_STATUS,
+  createInvestSession,
+  loadInvestSession,
+  saveInvestSession,
+  clearInvestSession,
+  isStepDone,
+  completeStep,
+  getStepLabel,
+  canRollBack,
+} from "./investSession.js";
 
 const FEE_TIER = FeeAmount.MEDIUM;
-const SLIPPAGE = 0.5;
 
-export async function provideLiquidity(
+// Gas limits used for legs that cannot be simulated yet because they depend
+// on an earlier leg (an approval or the swap) having landed on-chain.
+const FALLBACK_GAS = {
+  approve: 50000n,
+  swap: 250000n,
+  mint: 500000n,
+  increase: 300000n,
+};
+
+// Failure result of a flow, with the decoded error's message and suggested
+// fix.
+function getFailure(steps, error) {
+  const decoded = decodeError(error, error.message);
+  return {
+    success: false,
+    steps,
+    error: decoded.message,
+    suggestion: decoded.suggestion,
+  };
+}
+
+function isSameToken(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function getDefaultTokenB(chainId) {
+  return getTokens(chainId)[DEFAULT_TOKEN_B];
+}
+
+export async function getPoolInfo(
+  tokenAAddress,
+  tokenBAddress,
+  provider,
+  preferredFee = FEE_TIER
+) {
+  const chainId = Number((await provider.getNetwork()).chainId);
+  if (isSameToken(tokenAAddress, tokenBAddress)) {
+    throw new Error("Token A and Token B must be different tokens.");
+  }
+
+  const poolInfo = await findAvailablePool(
+    tokenBAddress,
+    tokenAAddress,
+    provider,
+    preferredFee
+  );
+  if (!poolInfo) {
+    console.error("[getPoolInfo] No pool found:", {
+      tokenAAddress,
+      tokenBAddress,
+      chainId,
+      feeTier: preferredFee,
+    });
+    throw new Error(
+      "Trading pair not available. Please try a different token."
+    );
+  }
+
+  const [tokenA, tokenB, state] = await Promise.all([
+    getTokenMetadata(tokenAAddress, provider),
+    getTokenMetadata(tokenBAddress, provider),
+    getPoolState(poolInfo.poolAddress, provider),
+  ]);
+  const isToken0A =
+    sortTokens(tokenAAddress, tokenBAddress)[0].toLowerCase() ===
+    tokenAAddress.toLowerCase();
+
+  return {
+    ...poolInfo,
+    ...state,
+    tickSpacing: TICK_SPACINGS[poolInfo.fee],
+    isToken0A,
+    tokenBAddress,
+    tokenASymbol: tokenA.symbol,
+    tokenBSymbol: tokenB.symbol,
+    tokenADecimals: tokenA.decimals,
+    tokenBDecimals: tokenB.decimals,
+    price: sqrtPriceX96ToPrice(
+      state.sqrtPriceX96,
+      isToken0A,
+      tokenA.decimals,
+      tokenB.decimals
+    ),
+  };
+}
+
+async function getFundingToken(funding, pool, provider) {
+  if (funding === NATIVE) {
+    const chainId = Number((await provider.getNetwork()).chainId);
+    return {
+      address: getWrappedNative(chainId),
+      native: true,
+      symbol: getNativeSymbol(chainId),
+      decimals: 18,
+    };
+  }
+
+  const address = funding || pool.tokenBAddress;
+  if (isSameToken(address, pool.tokenBAddress)) {
+    return {
+      address,
+      native: false,
+      symbol: pool.tokenBSymbol,
+      decimals: pool.tokenBDecimals,
+    };
+  }
+  const { symbol, decimals } = await getTokenMetadata(address, provider);
+  return { address, native: false, symbol, decimals };
+}
+
+// The share of the funding that reaches the position manager as-is (when the
+// funding token is Token A or Token B) versus what is swapped by the router.
+function getFundingSplit(
+  funding,
+  tokenAAddress,
+  tokenBAddress,
+  swapAmount,
+  depositAmount
+) {
+  const fundsA = isSameToken(funding.address, tokenAAddress);
+  const fundsB = isSameToken(funding.address, tokenBAddress);
+  const direct = (fundsA ? swapAmount : 0n) + (fundsB ? depositAmount : 0n);
+  return {
+    fundsA,
+    fundsB,
+    direct,
+    routed: swapAmount + depositAmount - direct,
+  };
+}
+
+// A range order is funded with the one token its side deposits: Token A to
+// sell above the price, Token B to buy below it.
+async function previewRangeOrder(
   investmentAmount,
   tokenAAddress,
-  signer
+  pool,
+  ticks,
+  provider
+) {
+  const rangeOrderSide = getRangeOrderSide(
+    ticks.tickLower,
+    ticks.tickUpper,
+    pool.tick,
+    pool.isToken0A
+  );
+  if (!rangeOrderSide) {
+    throw new Error(
+      "A range order needs a range entirely above or below the current price."
+    );
+  }
+  const fundsA = rangeOrderSide === RANGE_ORDER_SIDES.SELL;
+  const funding = await getFundingToken(
+    fundsA ? tokenAAddress : null,
+    pool,
+    provider
+  );
+  const zap = getRangeOrderZap({
+    amountIn: ethers.parseUnits(investmentAmount, funding.decimals),
+    sqrtPriceX96: pool.sqrtPriceX96,
+    tickLower: ticks.tickLower,
+    tickUpper: ticks.tickUpper,
+    isToken0A: pool.isToken0A,
+    fundsA,
+  });
+
+  return {
+    pool,
+    ticks,
+    zap,
+    funding,
+    rangeOrderSide,
+    route: null,
+    routeB: null,
+    routeLabel: null,
+    routeBLabel: null,
+    swapAmount: ethers.formatUnits(zap.swapAmount, funding.decimals),
+    depositAmount: ethers.formatUnits(zap.depositAmount, funding.decimals),
+    expectedTokenA: ethers.formatUnits(
+      zap.expectedAmountOut,
+      pool.tokenADecimals
+    ),
+    expectedTokenB: ethers.formatUnits(
+      zap.expectedAmountB,
+      pool.tokenBDecimals
+    ),
+    priceImpact: 0,
+    priceImpactCheck: checkPriceImpact(0),
+    leftoverTokenA: ethers.formatUnits(zap.leftoverA, pool.tokenADecimals),
+    leftoverTokenB: ethers.formatUnits(zap.leftoverB, pool.tokenBDecimals),
+    leftoverValueB:
+      Number(ethers.formatUnits(zap.leftoverA, pool.tokenADecimals)) *
+        pool.price +
+      Number(ethers.formatUnits(zap.leftoverB, pool.tokenBDecimals)),
+  };
+}
+
+export async function previewZap(
+  investmentAmount,
+  tokenAAddress,
+  provider,
+  options = {}
 ) {
-  const provider = signer.provider;
   const chainId = Number((await provider.getNetwork()).chainId);
-  const tokens = getTokens(chainId);
-  const userAddress = await signer.getAddress();
-  const usdtAddress = tokens.USDT;
+  const pool =
+    options.pool ||
+    (await getPoolInfo(
+      tokenAAddress,
+      options.tokenB || getDefaultTokenB(chainId),
+      provider
+    ));
+  const ticks =
+    options.ticks ||
+    getRangeTicks(
+      options.range,
+      pool.tickSpacing,
+      pool.isToken0A,
+      pool.tokenADecimals,
+      pool.tokenBDecimals
+    );
+  if (options.rangeOrder) {
+    return previewRangeOrder(
+      investmentAmount,
+      tokenAAddress,
+      pool,
+      ticks,
+      provider
+    );
+  }
+  const funding = await getFundingToken(options.funding, pool, provider);
+  const investmentWei = ethers.parseUnits(investmentAmount, funding.decimals);
 
-  const [usdtDecimals, tokenADecimals] = await Promise.all([
-    getTokenDecimals(usdtAddress, provider),
-    getTokenDecimals(tokenAAddress, provider),
+  const [route, routeB] = await Promise.all([
+    isSameToken(funding.address, tokenAAddress)
+      ? null
+      : findBestRoute(
+          funding.address,
+          tokenAAddress,
+          investmentWei / 2n,
+          provider
+        ),
+    isSameToken(funding.address, pool.tokenBAddress)
+      ? null
+      : findBestRoute(
+          funding.address,
+          pool.tokenBAddress,
+          investmentWei / 2n,
+          provider
+        ),
   ]);
+  // Only a direct Token B -> Token A swap through the LP pool itself moves
+  // the price the position is minted at; other routes leave it untouched.
+  const routeMovesPool =
+    route !== null &&
+    route.fees.length === 1 &&
+    route.fees[0] === pool.fee &&
+    isSameToken(route.tokens[0], pool.tokenBAddress);
+
+  const zap = await computeZap({
+    amountIn: investmentWei,
+    sqrtPriceX96: pool.sqrtPriceX96,
+    fee: pool.fee,
+    tickLower: ticks.tickLower,
+    tickUpper: ticks.tickUpper,
+    isToken0A: pool.isToken0A,
+    quote: async (amount) => {
+      if (!route) {
+        return { amountOut: amount, sqrtPriceX96After: pool.sqrtPriceX96 };
+      }
+      const quote = await quoteRoute(route, amount, provider);
+      return {
+        amountOut: quote.amountOut,
+        sqrtPriceX96After: routeMovesPool
+          ? quote.sqrtPriceX96AfterList[0]
+          : pool.sqrtPriceX96,
+      };
+    },
+    quoteB: routeB && ((amount) => quoteRoute(routeB, amount, provider)),
+  });
+
+  const labels = {
+    [tokenAAddress.toLowerCase()]: pool.tokenASymbol,
+    [pool.tokenBAddress.toLowerCase()]: pool.tokenBSymbol,
+  };
+  if (funding.native) {
+    labels[funding.address.toLowerCase()] = funding.symbol;
+  }
+  const leftoverA = Number(
+    ethers.formatUnits(zap.leftoverA, pool.tokenADecimals)
+  );
+  const leftoverB = Number(
+    ethers.formatUnits(zap.leftoverB, pool.tokenBDecimals)
+  );
+
+  return {
+    pool,
+    ticks,
+    zap,
+    funding,
+    route,
+    routeB,
+    routeLabel: route && formatRoute(route, chainId, labels),
+    routeBLabel: routeB && formatRoute(routeB, chainId, labels),
+    swapAmount: ethers.formatUnits(zap.swapAmount, funding.decimals),
+    depositAmount: ethers.formatUnits(zap.depositAmount, funding.decimals),
+    expectedTokenA: ethers.formatUnits(
+      zap.expectedAmountOut,
+      pool.tokenADecimals
+    ),
+    expectedTokenB: ethers.formatUnits(
+      zap.expectedAmountB,
+      pool.tokenBDecimals
+    ),
+    priceImpact: zap.priceImpact,
+    priceImpactCheck: checkPriceImpact(zap.priceImpact),
+    leftoverTokenA: ethers.formatUnits(zap.leftoverA, pool.tokenADecimals),
+    leftoverTokenB: ethers.formatUnits(zap.leftoverB, pool.tokenBDecimals),
+    leftoverValueB: leftoverA * pool.price + leftoverB,
+  };
+}
+
+async function getMatchingPosition(
+  tokenId,
+  tokenAAddress,
+  tokenBAddress,
+  provider
+) {
+  const position = await getPosition(tokenId, provider);
+  const pair = [position.token0, position.token1].map((token) =>
+    token.toLowerCase()
+  );
+  if (
+    !pair.includes(tokenAAddress.toLowerCase()) ||
+    !pair.includes(tokenBAddress.toLowerCase())
+  ) {
+    throw new Error(
+      `Position #${position.tokenId} does not hold the selected token pair.`
+    );
+  }
+  return position;
+}
+
+// The pool an investment goes into and, when adding to `tokenId`, that
+// position, checked to hold the selected pair at the pool's fee tier. Shared
+// by the dry run and the invest flow so a preview can't pass where the real
+// run would fail.
+async function getInvestTarget(
+  tokenAAddress,
+  tokenBAddress,
+  tokenId,
+  provider
+) {
+  const existing = tokenId
+    ? await getMatchingPosition(tokenId, tokenAAddress, tokenBAddress, provider)
+    : null;
+  const pool = await getPoolInfo(
+    tokenAAddress,
+    tokenBAddress,
+    provider,
+    existing ? existing.fee : FEE_TIER
+  );
+  if (existing && existing.fee !== pool.fee) {
+    throw new Error(
+      `No pool found for position #${existing.tokenId}'s fee tier.`
+    );
+  }
+  return { existing, pool };
+}
+
+async function getLiquidityMinimums(
+  poolAddress,
+  tickLower,
+  tickUpper,
+  isToken0A,
+  amountA,
+  amountB,
+  provider
+) {
+  const { sqrtPriceX96 } = await getPoolState(poolAddress, provider);
+  const liquidity = getLiquidityForAmounts(
+    sqrtPriceX96,
+    tickLower,
+    tickUpper,
+    isToken0A ? amountA : amountB,
+    isToken0A ? amountB : amountA
+  );
+  const expected = getPositionAmounts(
+    sqrtPriceX96,
+    tickLower,
+    tickUpper,
+    liquidity
+  );
+  return {
+    amountAMin: applySlippage(isToken0A ? expected.amount0 : expected.amount1),
+    amountBMin: applySlippage(isToken0A ? expected.amount1 : expected.amount0),
+  };
+}
+
+async function simulateLeg(label, fallbackGas, simulate) {
+  try {
+    const result = await simulate();
+    return { label, gas: result.gas, simulated: true, result };
+  } catch (error) {
+    console.error("[simulateLeg] Falling back to estimated gas:", {
+      label,
+      error: error.message,
+    });
+    return { label, gas: fallbackGas, simulated: false, result: null };
+  }
+}
+
+function getSwapLabel(routeLabel, routeBLabel) {
+  return [routeLabel, routeBLabel].filter(Boolean).join(" and ");
+}
+
+export async function simulateInvest(
+  investmentAmount,
+  tokenAAddress,
+  signer,
+  options = {}
+) {
+  const provider = signer.provider;
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const contracts = getContracts(chainId);
+  const tokenBAddress = options.tokenB || getDefaultTokenB(chainId);
+  const owner = await signer.getAddress();
+
+  const { existing, pool } = await getInvestTarget(
+    tokenAAddress,
+    tokenBAddress,
+    options.tokenId,
+    provider
+  );
+  const preview = await previewZap(investmentAmount, tokenAAddress, provider, {
+    ...options,
+    rangeOrder: options.rangeOrder && !existing,
+    pool,
+    ticks: existing && {
+      tickLower: existing.tickLower,
+      tickUpper: existing.tickUpper,
+    },
+  });
+  const { zap, funding } = preview;
+  const split = getFundingSplit(
+    funding,
+    tokenAAddress,
+    tokenBAddress,
+    zap.swapAmount,
+    zap.depositAmount
+  );
+  const warnings = [];
+  if (preview.priceImpactCheck.message) {
+    warnings.push(preview.priceImpactCheck.message);
+  }
+
+  const fundingBalance = funding.native
+    ? await provider.getBalance(owner)
+    : await getTokenBalance(funding.address, owner, provider);
+  if (fundingBalance < zap.swapAmount + zap.depositAmount) {
+    warnings.push(
+      `Your ${funding.symbol} balance is lower than the investment amount.`
+    );
+  }
+
+  const approvals = [
+    !funding.native && {
+      token: funding.address,
+      symbol: funding.symbol,
+      spender: contracts.SWAP_ROUTER,
+      spenderLabel: "Swap Router",
+      amount: split.routed,
+    },
+    !(funding.native && split.fundsA) && {
+      token: tokenAAddress,
+      symbol: pool.tokenASymbol,
+      spender: contracts.NONFUNGIBLE_POSITION_MANAGER,
+      spenderLabel: "Position Manager",
+      amount: split.fundsA ? zap.swapAmount : zap.expectedAmountOut,
+    },
+    !(funding.native && split.fundsB) && {
+      token: tokenBAddress,
+      symbol: pool.tokenBSymbol,
+      spender: contracts.NONFUNGIBLE_POSITION_MANAGER,
+      spenderLabel: "Position Manager",
+      amount: split.fundsB ? zap.depositAmount : zap.expectedAmountB,
+    },
+  ].filter((approval) => approval && approval.amount > 0n);
+  const allowances = await Promise.all(
+    approvals.map((approval) =>
+      getAllowance(approval.token, owner, approval.spender, provider)
+    )
+  );
+  const approvalsNeeded = await Promise.all(
+    approvals
+      .filter((approval, i) => allowances[i] < approval.amount)
+      .map(async (approval) => ({
+        ...approval,
+        method: (await canUsePermit(approval.token, provider))
+          ? "permit"
+          : "approve",
+      }))
+  );
+
+  const legs = [];
+  for (const approval of approvalsNeeded) {
+    if (approval.method === "permit") continue;
+    legs.push(
+      await simulateLeg(
+        `Approve ${approval.symbol} for ${approval.spenderLabel}`,
+        FALLBACK_GAS.approve,
+        async () => ({
+          gas: await estimateApproveGas(
+            approval.token,
+            approval.spender,
+            approval.amount,
+            signer
+          ),
+        })
+      )
+    );
+  }
+
+  const swaps = [
+    preview.route &&
+      zap.swapAmount > 0n && {
+        leg: "A",
+        path: preview.route.path,
+        amountIn: zap.swapAmount,
+        amountOutMin: applySlippage(zap.expectedAmountOut),
+      },
+    preview.routeB &&
+      zap.depositAmount > 0n && {
+        leg: "B",
+        path: preview.routeB.path,
+        amountIn: zap.depositAmount,
+        amountOutMin: applySlippage(zap.expectedAmountB),
+      },
+  ].filter(Boolean);
+
+  let amountOutA = zap.expectedAmountOut;
+  let amountOutB = zap.expectedAmountB;
+  if (swaps.length > 0) {
+    const swapLeg = await simulateLeg(
+      `Swap via ${getSwapLabel(preview.routeLabel, preview.routeBLabel)}`,
+      FALLBACK_GAS.swap * BigInt(swaps.length),
+      () =>
+        simulateSwapBatch(swaps, signer, {
+          value: funding.native ? split.routed : 0n,
+        })
+    );
+    if (swapLeg.result) {
+      swaps.forEach((swap, i) => {
+        if (swap.leg === "A") amountOutA = swapLeg.result.amountsOut[i];
+        else amountOutB = swapLeg.result.amountsOut[i];
+      });
+    }
+    legs.push(swapLeg);
+  }
+
+  const amountA = split.fundsA ? zap.swapAmount : amountOutA;
+  const amountB = split.fundsB ? zap.depositAmount : amountOutB;
+  const liquidityLeg = await simulateLeg(
+    existing ? `Add to position #${existing.tokenId}` : "Mint position",
+    existing ? FALLBACK_GAS.increase : FALLBACK_GAS.mint,
+    () =>
+      simulateLiquidity(
+        {
+          tokenId: existing?.tokenId,
+          tokenA: tokenAAddress,
+          tokenB: tokenBAddress,
+          amountA,
+          amountB,
+          fee: pool.fee,
+          ticks: preview.ticks,
+          value: funding.native ? split.direct : 0n,
+        },
+        signer
+      )
+  );
+  legs.push(liquidityLeg);
+
+  const mintTokenA = liquidityLeg.result?.amountA ?? zap.usedA;
+  const mintTokenB = liquidityLeg.result?.amountB ?? zap.usedB;
+  const leftoverTokenA = amountA > mintTokenA ? amountA - mintTokenA : 0n;
+  const leftoverTokenB = amountB > mintTokenB ? amountB - mintTokenB : 0n;
 
-  const investmentWei = ethers.parseUnits(investmentAmount, usdtDecimals);
-  const swapAmount = investmentWei / 2n;
-  const usdtAmount = investmentWei / 2n;
+  if (legs.some((leg) => !leg.simulated)) {
+    warnings.push(
+      "Some steps depend on earlier transactions, so their gas is estimated."
+    );
+  }
+
+  const totalGas = legs.reduce((sum, leg) => sum + leg.gas, 0n);
+  const feeData = await provider.getFeeData();
+  const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+  const gasCostNative = Number(ethers.formatEther(totalGas * gasPrice));
+  const nativePrice = await getTokenUsdtPrice(
+    getWrappedNative(chainId),
+    provider
+  ).catch(() => null);
+
+  return {
+    existingTokenId: existing?.tokenId ?? null,
+    fundingSymbol: funding.symbol,
+    tokenASymbol: pool.tokenASymbol,
+    tokenBSymbol: pool.tokenBSymbol,
+    routeLabel: preview.routeLabel,
+    routeBLabel: preview.routeBLabel,
+    swapAmount: preview.swapAmount,
+    depositAmount: preview.depositAmount,
+    expectedTokenA: ethers.formatUnits(amountOutA, pool.tokenADecimals),
+    minTokenA: ethers.formatUnits(
+      applySlippage(zap.expectedAmountOut),
+      pool.tokenADecimals
+    ),
+    expectedTokenB: ethers.formatUnits(amountOutB, pool.tokenBDecimals),
+    minTokenB: ethers.formatUnits(
+      applySlippage(zap.expectedAmountB),
+      pool.tokenBDecimals
+    ),
+    priceImpact: zap.priceImpact,
+    mintTokenA: ethers.formatUnits(mintTokenA, pool.tokenADecimals),
+    mintTokenB: ethers.formatUnits(mintTokenB, pool.tokenBDecimals),
+    leftoverTokenA: ethers.formatUnits(leftoverTokenA, pool.tokenADecimals),
+    leftoverTokenB: ethers.formatUnits(leftoverTokenB, pool.tokenBDecimals),
+    approvalsNeeded: approvalsNeeded.map(
+      ({ symbol, spenderLabel, method }) => ({ symbol, spenderLabel, method })
+    ),
+    legs: legs.map(({ label, gas, simulated }) => ({
+      label,
+      gas: gas.toString(),
+      simulated,
+    })),
+    totalGas: totalGas.toString(),
+    gasPriceGwei: Number(ethers.formatUnits(gasPrice, "gwei")),
+    gasCostNative,
+    gasCostUsd: nativePrice === null ? null : gasCostNative * nativePrice,
+    nativeSymbol: getNativeSymbol(chainId),
+    slippage: getSettings().slippage,
+    blocked: preview.priceImpactCheck.level === "blocked",
+    warnings,
+  };
+}
+
+export async function provideLiquidity(
+  investmentAmount,
+  tokenAAddress,
+  signer,
+  options = {}
+) {
+  const chainId = Number((await signer.provider.getNetwork()).chainId);
+  const session = createInvestSession(chainId, await signer.getAddress(), {
+    investmentAmount,
+    tokenAAddress,
+    tokenBAddress: options.tokenB || getDefaultTokenB(chainId),
+    funding: options.funding ?? null,
+    range: options.range ?? null,
+    tokenId: options.tokenId ?? null,
+    stake: Boolean(options.stake),
+    rangeOrder: Boolean(options.rangeOrder),
+  });
+  saveInvestSession(session);
+  return await runInvestSession(session, signer);
+}
+
+export async function resumeInvest(signer) {
+  const chainId = Number((await signer.provider.getNetwork()).chainId);
+  const session = loadInvestSession(chainId, await signer.getAddress());
+  if (!session) {
+    return {
+      success: false,
+      steps: [],
+      error: "No interrupted investment to resume.",
+    };
+  }
+
+  // Quotes go stale, so a swap that has not landed yet is always re-quoted.
+  if (!isStepDone(session, "swap")) {
+    session.completedSteps = session.completedSteps.filter(
+      (stepId) => stepId !== "quote"
+    );
+  }
+  session.status = SESSION_STATUS.RUNNING;
+  session.failedStep = null;
+  session.error = null;
+  saveInvestSession(session);
+  return await runInvestSession(session, signer);
+}
+
+async function waitForSentTransaction(hash, provider) {
+  const receipt = await provider.waitForTransaction(hash, 1, 120000);
+  return receipt && receipt.status === 1 ? receipt : null;
+}
+
+function getPlannedSwaps(plan, swapAmount, depositAmount, swapState) {
+  return [
+    plan.route &&
+      swapAmount > 0n && {
+        path: encodePath(plan.route.tokens, plan.route.fees),
+        amountIn: swapAmount,
+        amountOutMin: BigInt(swapState.amountAOutMin),
+      },
+    plan.routeB &&
+      depositAmount > 0n && {
+        path: encodePath(plan.routeB.tokens, plan.routeB.fees),
+        amountIn: depositAmount,
+        amountOutMin: BigInt(swapState.amountBOutMin),
+      },
+  ].filter(Boolean);
+}
+
+// The token amounts a finished invest added to the position, in token0 /
+// token1 order.
+function getDepositedAmounts(session) {
+  const { plan, params, deposit } = session;
+  if (!deposit) return [];
+  const tokenA = {
+    token: params.tokenAAddress,
+    symbol: plan.tokenASymbol,
+    decimals: plan.tokenADecimals,
+  };
+  const tokenB = {
+    token: params.tokenBAddress,
+    symbol: plan.tokenBSymbol,
+    decimals: plan.tokenBDecimals,
+  };
+  const [token0, token1] = plan.isToken0A ? [tokenA, tokenB] : [tokenB, tokenA];
+  return [
+    [token0, deposit.amount0],
+    [token1, deposit.amount1],
+  ].map(([{ token, symbol, decimals }, amount]) => ({
+    direction: "deposit",
+    token,
+    symbol,
+    amount: ethers.formatUnits(amount, decimals),
+  }));
+}
+
+async function runInvestSession(session, signer) {
+  const provider = signer.provider;
+  const { chainId, account, params } = session;
+  const { investmentAmount, tokenAAddress, tokenBAddress } = params;
+  const contracts = getContracts(chainId);
   const steps = [];
+  let currentStep = null;
+
+  const runStep = async (stepId, label, action) => {
+    currentStep = stepId;
+    if (isStepDone(session, stepId)) {
+      steps.push(`${label} (already done)`);
+      return;
+    }
+    steps.push(label);
+    await action();
+    completeStep(session, stepId);
+  };
 
   try {
-    steps.push("Finding pool...");
-    const poolInfo = await findAvailablePool(
-      usdtAddress,
+    await runStep("findPool", getStepLabel("findPool"), async () => {
+      const { existing, pool } = await getInvestTarget(
+        tokenAAddress,
+        tokenBAddress,
+        params.tokenId,
+        provider
+      );
+
+      steps.push("Calculating swap ratio...");
+      const preview = await previewZap(
+        investmentAmount,
+        tokenAAddress,
+        provider,
+        {
+          range: params.range,
+          funding: params.funding,
+          rangeOrder: params.rangeOrder && !existing,
+          pool,
+          ticks: existing && {
+            tickLower: existing.tickLower,
+            tickUpper: existing.tickUpper,
+          },
+        }
+      );
+      if (preview.priceImpactCheck.level === "blocked") {
+        throw new Error(preview.priceImpactCheck.message);
+      }
+
+      session.plan = {
+        poolAddress: pool.poolAddress,
+        isToken0A: pool.isToken0A,
+        fee: pool.fee,
+        tokenADecimals: pool.tokenADecimals,
+        tokenBDecimals: pool.tokenBDecimals,
+        tokenASymbol: pool.tokenASymbol,
+        tokenBSymbol: pool.tokenBSymbol,
+        funding: preview.funding,
+        tickLower: preview.ticks.tickLower,
+        tickUpper: preview.ticks.tickUpper,
+        existingTokenId: existing?.tokenId ?? null,
+        rangeOrderSide: preview.rangeOrderSide ?? null,
+        swapAmount: preview.zap.swapAmount.toString(),
+        depositAmount: preview.zap.depositAmount.toString(),
+        route: preview.route && {
+          tokens: preview.route.tokens,
+          fees: preview.route.fees,
+        },
+        routeB: preview.routeB && {
+          tokens: preview.routeB.tokens,
+          fees: preview.routeB.fees,
+        },
+        routeLabel: getSwapLabel(preview.routeLabel, preview.routeBLabel),
+        expectedLeftoverTokenA: preview.leftoverTokenA,
+        expectedLeftoverTokenB: preview.leftoverTokenB,
+      };
+    });
+
+    const { plan } = session;
+    const { funding } = plan;
+    const swapAmount = BigInt(plan.swapAmount);
+    const depositAmount = BigInt(plan.depositAmount);
+    const split = getFundingSplit(
+      funding,
       tokenAAddress,
-      provider,
-      FEE_TIER
+      tokenBAddress,
+      swapAmount,
+      depositAmount
     );
-    if (!poolInfo) {
-      console.error("[provideLiquidity] No pool found:", {
-        usdtAddress,
-        tokenAAddress,
-        chainId,
-        feeTier: FEE_TIER,
+
+    // A range order deposits its funding as-is.
+    if (plan.rangeOrderSide) {
+      steps.push("Range order: no swap needed.");
+      session.swap = { tokenAReceived: "0", tokenBReceived: "0" };
+    } else {
+      await runStep("approveSwap", getStepLabel("approveSwap"), async () => {
+        if (split.routed === 0n || funding.native) return;
+        const tx = await approveUnlessPermit(
+          funding.address,
+          contracts.SWAP_ROUTER,
+          split.routed,
+          signer
+        );
+        if (tx) session.txs.approveSwap = tx.hash;
       });
-      throw new Error(
-        "Trading pair not available. Please try a different token."
+
+      await runStep("quote", getStepLabel("quote"), async () => {
+        if (split.routed === 0n) return;
+        const [quoteA, quoteB] = await Promise.all([
+          plan.route && swapAmount > 0n
+            ? quoteRoute(plan.route, swapAmount, provider)
+            : null,
+          plan.routeB && depositAmount > 0n
+            ? quoteRoute(plan.routeB, depositAmount, provider)
+            : null,
+        ]);
+        session.swap = {
+          ...session.swap,
+          amountAOutMin: quoteA && applySlippage(quoteA.amountOut).toString(),
+          amountBOutMin: quoteB && applySlippage(quoteB.amountOut).toString(),
+        };
+      });
+
+      await runStep(
+        "swap",
+        plan.routeLabel
+          ? `Swapping via ${plan.routeLabel}...`
+          : getStepLabel("swap"),
+        async () => {
+          if (split.routed === 0n) {
+            session.swap = { tokenAReceived: "0", tokenBReceived: "0" };
+            return;
+          }
+
+          // A swap sent before the page was closed may already have landed.
+          let receipt = session.txs.swap
+            ? await waitForSentTransaction(session.txs.swap, provider)
+            : null;
+          if (!receipt) {
+            delete session.txs.swap;
+            const [balanceA, balanceB] = await Promise.all([
+              getTokenBalance(tokenAAddress, account, provider),
+              getTokenBalance(tokenBAddress, account, provider),
+            ]);
+            session.swap.balanceABefore = balanceA.toString();
+            session.swap.balanceBBefore = balanceB.toString();
+            const permits = funding.native
+              ? []
+              : await signPermits(
+                  [{ token: funding.address, amount: split.routed }],
+                  contracts.SWAP_ROUTER,
+                  signer
+                );
+            const tx = await executeSwapBatch(
+              getPlannedSwaps(plan, swapAmount, depositAmount, session.swap),
+              signer,
+              { permits, value: funding.native ? split.routed : 0n }
+            );
+            session.txs.swap = tx.hash;
+            saveInvestSession(session);
+            receipt = await tx.wait();
+          }
+
+          // A token that also funds the other leg was spent, not received.
+          const [balanceA, balanceB] = await Promise.all([
+            getTokenBalance(tokenAAddress, account, provider),
+            getTokenBalance(tokenBAddress, account, provider),
+          ]);
+          session.swap.tokenAReceived = split.fundsA
+            ? "0"
+            : (balanceA - BigInt(session.swap.balanceABefore)).toString();
+          session.swap.tokenBReceived = split.fundsB
+            ? "0"
+            : (balanceB - BigInt(session.swap.balanceBBefore)).toString();
+        }
       );
     }
-    const fee = poolInfo.fee;
 
-    steps.push("Approving USDT...");
-    await approveToken(
-      usdtAddress,
-      getContracts(chainId).SWAP_ROUTER,
-      swapAmount,
-      signer
+    const tokenAAmount =
+      BigInt(session.swap.tokenAReceived) + (split.fundsA ? swapAmount : 0n);
+    const tokenBAmount =
+      BigInt(session.swap.tokenBReceived ?? 0) +
+      (split.fundsB ? depositAmount : 0n);
+    // Native currency reaches the position manager as value, not as an
+    // allowance.
+    const mintTokens = [
+      !(funding.native && split.fundsA) && {
+        token: tokenAAddress,
+        amount: tokenAAmount,
+      },
+      !(funding.native && split.fundsB) && {
+        token: tokenBAddress,
+        amount: tokenBAmount,
+      },
+    ].filter((entry) => entry && entry.amount > 0n);
+
+    await runStep("approveMint", getStepLabel("approveMint"), async () => {
+      // One at a time so the wallet's nonces stay in order, saving each hash
+      // as soon as it is sent so an interrupted run still records it.
+      session.txs.approveMint ??= [];
+      for (const { token, amount } of mintTokens) {
+        const tx = await approveUnlessPermit(
+          token,
+          contracts.NONFUNGIBLE_POSITION_MANAGER,
+          amount,
+          signer
+        );
+        if (!tx) continue;
+        session.txs.approveMint.push(tx.hash);
+        saveInvestSession(session);
+      }
+    });
+
+    await runStep(
+      "mint",
+      plan.existingTokenId
+        ? `Adding liquidity to position #${plan.existingTokenId}...`
+        : getStepLabel("mint"),
+      async () => {
+        let receipt = session.txs.mint
+          ? await waitForSentTransaction(session.txs.mint, provider)
+          : null;
+        if (!receipt) {
+          delete session.txs.mint;
+          const minimums = await getLiquidityMinimums(
+            plan.poolAddress,
+            plan.tickLower,
+            plan.tickUpper,
+            plan.isToken0A,
+            tokenAAmount,
+            tokenBAmount,
+            provider
+          );
+          const permits = await signPermits(
+            mintTokens,
+            contracts.NONFUNGIBLE_POSITION_MANAGER,
+            signer
+          );
+          const value = funding.native ? split.direct : 0n;
+          const tx = plan.existingTokenId
+            ? await increaseLiquidity(
+                plan.existingTokenId,
+                tokenAAddress,
+                tokenBAddress,
+                tokenAAmount,
+                tokenBAmount,
+                signer,
+                { ...minimums, permits, value }
+              )
+            : await addLiquidity(
+                tokenAAddress,
+                tokenBAddress,
+                tokenAAmount,
+                tokenBAmount,
+                plan.fee,
+                signer,
+                {
+                  tickLower: plan.tickLower,
+                  tickUpper: plan.tickUpper,
+                  ...minimums,
+                  permits,
+                  value,
+                }
+              );
+          session.txs.mint = tx.hash;
+          saveInvestSession(session);
+          receipt = await tx.wait();
+        }
+        session.nftTokenId =
+          plan.existingTokenId ?? parseMintedTokenId(receipt);
+        const added = parseAddedLiquidity(receipt);
+        session.deposit = added && {
+          liquidity: added.liquidity.toString(),
+          amount0: added.amount0.toString(),
+          amount1: added.amount1.toString(),
+        };
+        // Without the minted token ID the order cannot be tracked, but the
+        // position itself exists and the mint must not be reported as failed.
+        if (plan.rangeOrderSide && !session.nftTokenId) {
+          steps.push(
+            "Could not read the new position's token ID; the range order is not tracked."
+          );
+        } else if (plan.rangeOrderSide) {
+          saveRangeOrder(chainId, account, {
+            tokenId: session.nftTokenId.toString(),
+            side: plan.rangeOrderSide,
+            tickLower: plan.tickLower,
+            tickUpper: plan.tickUpper,
+            startsInToken0:
+              (plan.rangeOrderSide === RANGE_ORDER_SIDES.SELL) ===
+              plan.isToken0A,
+            createdAt: Date.now(),
+          });
+        }
+      }
     );
 
-    steps.push("Getting quote...");
-    const amountOut = await getSwapQuote(
-      usdtAddress,
+    // Only a new NFT can be staked here; an existing position keeps wherever
+    // it already is.
+    if (params.stake && !plan.existingTokenId) {
+      await runStep("stake", getStepLabel("stake"), async () => {
+        const [pid] = await getFarmPids([plan.poolAddress], provider);
+        if (pid === 0) {
+          steps.push(
+            "No CAKE farm for this pool; the position stays unstaked."
+          );
+          return;
+        }
+        const tx = await stakeNft(session.nftTokenId, signer);
+        session.txs.stake = tx.hash;
+        await tx.wait();
+      });
+    }
+
+    clearInvestSession(chainId, account);
+    await recordActivity(signer, {
+      type: plan.existingTokenId
+        ? ACTIVITY_TYPES.INCREASE
+        : ACTIVITY_TYPES.INVEST,
+      txs: [
+        session.txs.approveSwap,
+        session.txs.swap,
+        ...(session.txs.approveMint ?? []),
+        session.txs.mint,
+        session.txs.stake,
+      ],
+      tokenId: session.nftTokenId,
+      liquidity: session.deposit?.liquidity ?? null,
+      amounts: [
+        {
+          direction: "out",
+          token: funding.address,
+          symbol: funding.symbol,
+          amount: investmentAmount,
+        },
+        ...getDepositedAmounts(session),
+      ],
+    });
+
+    return {
+      success: true,
+      steps,
+      swapTx: session.txs.swap ?? null,
+      liquidityTx: session.txs.mint,
+      nftTokenId: session.nftTokenId,
+      stakeTx: session.txs.stake ?? null,
+      increasedExisting: Boolean(plan.existingTokenId),
+      rangeOrderSide: plan.rangeOrderSide,
+      tickLower: plan.tickLower,
+      tickUpper: plan.tickUpper,
+      fundingSymbol: funding.symbol,
+      fundingAmount: investmentAmount,
+      tokenASymbol: plan.tokenASymbol,
+      tokenBSymbol: plan.tokenBSymbol,
+      tokenAAmount: ethers.formatUnits(tokenAAmount, plan.tokenADecimals),
+      tokenBAmount: ethers.formatUnits(tokenBAmount, plan.tokenBDecimals),
+      swapAmount: ethers.formatUnits(split.routed, funding.decimals),
+      expectedLeftoverTokenA: plan.expectedLeftoverTokenA,
+      expectedLeftoverTokenB: plan.expectedLeftoverTokenB,
+    };
+  } catch (error) {
+    console.error("[provideLiquidity] Error:", {
+      error: error.message,
+      stack: error.stack,
+      steps,
+      failedStep: currentStep,
+      investmentAmount,
       tokenAAddress,
-      swapAmount,
-      fee,
-      provider
+      tokenBAddress,
+      funding: params.funding,
+      chainId,
+    });
+
+    // Nothing happened on-chain yet, so there is nothing worth resuming.
+    const failure = getFailure(steps, error);
+    if (session.completedSteps.length === 0) {
+      clearInvestSession(chainId, account);
+      return failure;
+    }
+
+    session.status = SESSION_STATUS.FAILED;
+    session.failedStep = currentStep;
+    session.error = failure.error;
+    saveInvestSession(session);
+    return {
+      ...failure,
+      failedStep: currentStep,
+      resumable: true,
+      canRollBack: canRollBack(session),
+    };
+  }
+}
+
+export async function rollbackInvest(signer) {
+  const provider = signer.provider;
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const account = await signer.getAddress();
+  const session = loadInvestSession(chainId, account);
+  const steps = [];
+
+  if (!session || !canRollBack(session)) {
+    return { success: false, steps, error: "Nothing to roll back." };
+  }
+
+  const { plan, swap } = session;
+  const { funding } = plan;
+  const received = [
+    {
+      token: session.params.tokenAAddress,
+      symbol: plan.tokenASymbol,
+      decimals: plan.tokenADecimals,
+      amount: BigInt(swap.tokenAReceived ?? 0),
+    },
+    {
+      token: session.params.tokenBAddress,
+      symbol: plan.tokenBSymbol,
+      decimals: plan.tokenBDecimals,
+      amount: BigInt(swap.tokenBReceived ?? 0),
+    },
+  ].filter((leg) => leg.amount > 0n);
+
+  try {
+    steps.push(`Finding route back to ${funding.symbol}...`);
+    const routes = await Promise.all(
+      received.map((leg) =>
+        findBestRoute(leg.token, funding.address, leg.amount, provider)
+      )
     );
-    const amountOutMin = (amountOut * BigInt(10000 - SLIPPAGE * 100)) / 10000n;
+    const getFundingBalance = () =>
+      funding.native
+        ? provider.getBalance(account)
+        : getTokenBalance(funding.address, account, provider);
+    const balanceBefore = await getFundingBalance();
+
+    const routerAddress = getContracts(chainId).SWAP_ROUTER;
+    for (const leg of received) {
+      steps.push(`Approving ${leg.symbol}...`);
+      await approveUnlessPermit(leg.token, routerAddress, leg.amount, signer);
+    }
+    const permits = await signPermits(received, routerAddress, signer);
 
-    steps.push("Swapping...");
-    const swapTx = await executeSwap(
+    steps.push(`Swapping back to ${funding.symbol}...`);
+    const swaps = received.map((leg, i) => ({
+      path: routes[i].path,
+      amountIn: leg.amount,
+      amountOutMin: applySlippage(routes[i].amountOut),
+    }));
+    const tx = await executeSwapBatch(swaps, signer, {
+      permits,
+      ...(funding.native && {
+        unwrapTo: account,
+        unwrapMin: swaps.reduce((sum, swap) => sum + swap.amountOutMin, 0n),
+      }),
+    });
+    const receipt = await tx.wait();
+    // Gas is paid in the native currency too, so add it back when that is
+    // what was returned.
+    const returned =
+      (await getFundingBalance()) -
+      balanceBefore +
+      (funding.native ? receipt.fee : 0n);
+
+    clearInvestSession(chainId, account);
+    await recordActivity(signer, {
+      type: ACTIVITY_TYPES.ROLLBACK,
+      txs: [receipt.hash],
+      amounts: [
+        ...received.map((leg) => ({
+          direction: "out",
+          token: leg.token,
+          symbol: leg.symbol,
+          amount: ethers.formatUnits(leg.amount, leg.decimals),
+        })),
+        {
+          direction: "in",
+          token: funding.address,
+          symbol: funding.symbol,
+          amount: ethers.formatUnits(returned, funding.decimals),
+        },
+      ],
+    });
+
+    return {
+      success: true,
+      action: "rollback",
+      steps,
+      swapTx: receipt.hash,
+      fundingSymbol: funding.symbol,
+      swappedBack: received
+        .map(
+          (leg) =>
+            `${ethers.formatUnits(leg.amount, leg.decimals)} ${leg.symbol}`
+        )
+        .join(" + "),
+      fundingAmount: ethers.formatUnits(returned, funding.decimals),
+    };
+  } catch (error) {
+    console.error("[rollbackInvest] Error:", {
+      error: error.message,
+      stack: error.stack,
+      steps,
+      sessionId: session.id,
+      chainId,
+    });
+    return getFailure(steps, error);
+  }
+}
+
+export async function withdrawLiquidity(
+  tokenId,
+  percent,
+  signer,
+  options = {}
+) {
+  const provider = signer.provider;
+  const owner = await signer.getAddress();
+  const steps = [];
+
+  try {
+    steps.push("Loading position...");
+    const position = await getPositionDetails(tokenId, owner, provider);
+    if (position.liquidity === 0n && !options.burn) {
+      throw new Error("This position has no liquidity to remove.");
+    }
+    if (!(percent > 0 && percent <= 100)) {
+      throw new Error("Choose a percentage between 1 and 100.");
+    }
+
+    const liquidity =
+      (position.liquidity * BigInt(Math.round(percent * 100))) / 10000n;
+    const expected = getPositionAmounts(
+      position.sqrtPriceX96,
+      position.tickLower,
+      position.tickUpper,
+      liquidity
+    );
+    const burn = Boolean(options.burn) && percent === 100;
+
+    steps.push(
+      burn ? "Removing liquidity and burning NFT..." : "Removing liquidity..."
+    );
+    const tx = await removeLiquidity(
+      tokenId,
+      liquidity,
+      applySlippage(expected.amount0),
+      applySlippage(expected.amount1),
+      signer,
+      { burn }
+    );
+    const receipt = await tx.wait();
+    const collected = parseCollectedAmounts(receipt, tokenId) || {
+      amount0: expected.amount0 + position.fees0Raw,
+      amount1: expected.amount1 + position.fees1Raw,
+    };
+    await recordActivity(signer, {
+      type: ACTIVITY_TYPES.WITHDRAW,
+      txs: [receipt.hash],
+      tokenId: position.tokenId,
+      liquidity,
+      amounts: getCollectedAmounts(position, collected),
+      fees: getPositionFees(position),
+    });
+
+    return {
+      success: true,
+      steps,
+      removeTx: receipt.hash,
+      tokenId: position.tokenId,
+      burned: burn,
+      liquidityRemoved: liquidity.toString(),
+      symbol0: position.symbol0,
+      symbol1: position.symbol1,
+      amount0: ethers.formatUnits(collected.amount0, position.decimals0),
+      amount1: ethers.formatUnits(collected.amount1, position.decimals1),
+    };
+  } catch (error) {
+    console.error("[withdrawLiquidity] Error:", {
+      error: error.message,
+      stack: error.stack,
+      steps,
+      tokenId: tokenId.toString(),
+      percent,
+    });
+    return getFailure(steps, error);
+  }
+}
+
+// The uncollected swap fees a position held before an action collected them.
+function getPositionFees(position) {
+  return [
+    [position.token0, position.symbol0, position.fees0],
+    [position.token1, position.symbol1, position.fees1],
+  ].map(([token, symbol, amount]) => ({
+    tokenId: position.tokenId.toString(),
+    token,
+    symbol,
+    amount,
+  }));
+}
+
+function getCollectedAmounts(position, collected) {
+  return [
+    {
+      direction: "in",
+      token: position.token0,
+      symbol: position.symbol0,
+      amount: ethers.formatUnits(collected.amount0, position.decimals0),
+    },
+    {
+      direction: "in",
+      token: position.token1,
+      symbol: position.symbol1,
+      amount: ethers.formatUnits(collected.amount1, position.decimals1),
+    },
+  ];
+}
+
+async function swapCollectedToUsdt(position, collected, signer, steps) {
+  const provider = signer.provider;
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const usdtAddress = getTokens(chainId).USDT;
+
+  const legs = [
+    {
+      token: position.token0,
+      symbol: position.symbol0,
+      decimals: position.decimals0,
+      amount: collected.amount0,
+    },
+    {
+      token: position.token1,
+      symbol: position.symbol1,
+      decimals: position.decimals1,
+      amount: collected.amount1,
+    },
+  ].filter(
+    (leg) =>
+      leg.token.toLowerCase() !== usdtAddress.toLowerCase() && leg.amount > 0n
+  );
+
+  const routerAddress = getContracts(chainId).SWAP_ROUTER;
+  const swapTxs = [];
+  for (const leg of legs) {
+    const route = await findBestRoute(
+      leg.token,
       usdtAddress,
-      tokenAAddress,
-      swapAmount,
-      amountOutMin,
-      fee,
+      leg.amount,
+      provider
+    );
+
+    steps.push(`Approving ${leg.symbol}...`);
+    await approveUnlessPermit(leg.token, routerAddress, leg.amount, signer);
+    const permits = await signPermits(
+      [{ token: leg.token, amount: leg.amount }],
+      routerAddress,
       signer
     );
-    const swapReceipt = await swapTx.wait();
 
-    const tokenA = new ethers.Contract(
-      tokenAAddress,
-      ["function balanceOf(address) view returns (uint256)"],
+    steps.push(`Swapping ${leg.symbol} to USDT...`);
+    const swapTx = await executeRoute(
+      route,
+      leg.amount,
+      applySlippage(route.amountOut),
+      signer,
+      { permits }
+    );
+    swapTxs.push((await swapTx.wait()).hash);
+  }
+
+  return { legs, swapTxs };
+}
+
+export async function zapOut(tokenId, signer, options = {}) {
+  const provider = signer.provider;
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const usdtAddress = getTokens(chainId).USDT;
+  const owner = await signer.getAddress();
+  const percent = options.percent ?? 100;
+  const steps = [];
+
+  try {
+    steps.push("Loading position...");
+    const position = await getPositionDetails(tokenId, owner, provider);
+    if (position.liquidity === 0n) {
+      throw new Error("This position has no liquidity to remove.");
+    }
+    if (!(percent > 0 && percent <= 100)) {
+      throw new Error("Choose a percentage between 1 and 100.");
+    }
+    const usdtDecimals = await getTokenDecimals(usdtAddress, provider);
+    const usdtBefore = await getTokenBalance(usdtAddress, owner, provider);
+
+    const liquidity =
+      (position.liquidity * BigInt(Math.round(percent * 100))) / 10000n;
+    const expected = getPositionAmounts(
+      position.sqrtPriceX96,
+      position.tickLower,
+      position.tickUpper,
+      liquidity
+    );
+
+    steps.push("Removing liquidity and collecting fees...");
+    const removeTx = await removeLiquidity(
+      tokenId,
+      liquidity,
+      applySlippage(expected.amount0),
+      applySlippage(expected.amount1),
+      signer,
+      { burn: Boolean(options.burn) && percent === 100 }
+    );
+    const removeReceipt = await removeTx.wait();
+    const collected = parseCollectedAmounts(removeReceipt, tokenId) || {
+      amount0: expected.amount0 + position.fees0Raw,
+      amount1: expected.amount1 + position.fees1Raw,
+    };
+
+    const { legs, swapTxs } = await swapCollectedToUsdt(
+      position,
+      collected,
+      signer,
+      steps
+    );
+
+    const usdtAfter = await getTokenBalance(usdtAddress, owner, provider);
+    const usdtAmount = ethers.formatUnits(usdtAfter - usdtBefore, usdtDecimals);
+    await recordActivity(signer, {
+      type: ACTIVITY_TYPES.ZAP_OUT,
+      txs: [removeReceipt.hash, ...swapTxs],
+      tokenId: position.tokenId,
+      liquidity,
+      fees: getPositionFees(position),
+      amounts: [
+        {
+          direction: "in",
+          token: usdtAddress,
+          symbol: "USDT",
+          amount: usdtAmount,
+        },
+      ],
+    });
+
+    return {
+      success: true,
+      action: "zapOut",
+      steps,
+      swapTx: swapTxs[swapTxs.length - 1] ?? null,
+      swapTxs,
+      liquidityTx: removeReceipt.hash,
+      nftTokenId: position.tokenId,
+      tokenAAmount: legs
+        .map(
+          (leg) =>
+            `${ethers.formatUnits(leg.amount, leg.decimals)} ${leg.symbol}`
+        )
+        .join(" + "),
+      usdtAmount,
+      feesIncluded: {
+        [position.symbol0]: position.fees0,
+        [position.symbol1]: position.fees1,
+      },
+    };
+  } catch (error) {
+    console.error("[zapOut] Error:", {
+      error: error.message,
+      stack: error.stack,
+      steps,
+      tokenId: tokenId.toString(),
+      chainId,
+    });
+    return getFailure(steps, error);
+  }
+}
+
+export async function collectPositionFees(tokenIds, signer, options = {}) {
+  const provider = signer.provider;
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const usdtAddress = getTokens(chainId).USDT;
+  const owner = await signer.getAddress();
+  const steps = [];
+
+  try {
+    steps.push("Loading positions...");
+    const positions = await Promise.all(
+      tokenIds.map((tokenId) => getPositionDetails(tokenId, owner, provider))
+    );
+    const claimable = positions.filter(
+      (position) => position.fees0Raw > 0n || position.fees1Raw > 0n
+    );
+    if (claimable.length === 0) {
+      throw new Error("No fees to collect yet.");
+    }
+
+    const usdtBefore = await getTokenBalance(usdtAddress, owner, provider);
+
+    steps.push(
+      claimable.length === 1
+        ? "Collecting fees..."
+        : `Collecting fees from ${claimable.length} positions...`
+    );
+    const collectTx = await collectFees(
+      claimable.map((position) => position.tokenId),
+      signer
+    );
+    const receipt = await collectTx.wait();
+
+    const collectedByPosition = claimable.map((position) => ({
+      position,
+      collected: parseCollectedAmounts(receipt, position.tokenId) || {
+        amount0: position.fees0Raw,
+        amount1: position.fees1Raw,
+      },
+    }));
+
+    const swapTxs = [];
+    if (options.swapToUsdt) {
+      for (const { position, collected } of collectedByPosition) {
+        const swapped = await swapCollectedToUsdt(
+          position,
+          collected,
+          signer,
+          steps
+        );
+        swapTxs.push(...swapped.swapTxs);
+      }
+    }
+
+    const usdtAfter = await getTokenBalance(usdtAddress, owner, provider);
+    const usdtDecimals = await getTokenDecimals(usdtAddress, provider);
+    const usdtAmount = ethers.formatUnits(usdtAfter - usdtBefore, usdtDecimals);
+    await recordActivity(signer, {
+      type: ACTIVITY_TYPES.COLLECT,
+      txs: [receipt.hash, ...swapTxs],
+      tokenId: claimable.length === 1 ? claimable[0].tokenId : null,
+      amounts: options.swapToUsdt
+        ? [
+            {
+              direction: "in",
+              token: usdtAddress,
+              symbol: "USDT",
+              amount: usdtAmount,
+            },
+          ]
+        : collectedByPosition.flatMap(({ position, collected }) =>
+            getCollectedAmounts(position, collected)
+          ),
+      fees: collectedByPosition.flatMap(({ position, collected }) =>
+        getCollectedAmounts(position, collected).map(
+          ({ token, symbol, amount }) => ({
+            tokenId: position.tokenId.toString(),
+            token,
+            symbol,
+            amount,
+          })
+        )
+      ),
+    });
+
+    return {
+      success: true,
+      action: "collect",
+      steps,
+      collectTx: receipt.hash,
+      swapTxs,
+      usdtAmount,
+      collected: collectedByPosition.map(({ position, collected }) => ({
+        tokenId: position.tokenId,
+        symbol0: position.symbol0,
+        symbol1: position.symbol1,
+        amount0: ethers.formatUnits(collected.amount0, position.decimals0),
+        amount1: ethers.formatUnits(collected.amount1, position.decimals1),
+      })),
+    };
+  } catch (error) {
+    console.error("[collectPositionFees] Error:", {
+      error: error.message,
+      stack: error.stack,
+      steps,
+      tokenIds: tokenIds.map((tokenId) => tokenId.toString()),
+      chainId,
+    });
+    return getFailure(steps, error);
+  }
+}
+
+// Route and size of the swap that brings `balance0` / `balance1` to the ratio
+// the new range needs, or null when no swap is needed.
+async function planRebalanceSwap(
+  position,
+  balance0,
+  balance1,
+  ticks,
+  provider
+) {
+  const { zeroForOne, amountIn } = getRebalanceSwap({
+    balance0,
+    balance1,
+    sqrtPriceX96: position.sqrtPriceX96,
+    ...ticks,
+  });
+  if (amountIn === 0n) return null;
+
+  const legs = [
+    { token: position.token0, symbol: position.symbol0 },
+    { token: position.token1, symbol: position.symbol1 },
+  ];
+  const [from, to] = zeroForOne ? legs : [legs[1], legs[0]];
+  const route = await findBestRoute(from.token, to.token, amountIn, provider);
+  const spotRate = getSpotSwapRate(
+    position.sqrtPriceX96,
+    !zeroForOne,
+    position.fee
+  );
+  const rate = Number(route.amountOut) / Number(amountIn);
+  return {
+    from,
+    to,
+    amountIn,
+    route,
+    priceImpact: Math.max(0, (1 - rate / spotRate) * 100),
+  };
+}
+
+// Moves an out-of-range position into a new range of the same width centered
+// on the current price: removes all liquidity and fees, swaps to the new
+// range's ratio and mints a new position. The emptied NFT is kept.
+export async function rebalancePosition(tokenId, signer) {
+  const provider = signer.provider;
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const contracts = getContracts(chainId);
+  const owner = await signer.getAddress();
+  const steps = [];
+
+  try {
+    steps.push("Loading position...");
+    const position = await getPositionDetails(tokenId, owner, provider);
+    if (position.liquidity === 0n) {
+      throw new Error("This position has no liquidity to rebalance.");
+    }
+    if (position.inRange) {
+      throw new Error("This position is still in range.");
+    }
+    const ticks = getCenteredTicks(
+      position.currentTick,
+      position.tickUpper - position.tickLower,
+      TICK_SPACINGS[position.fee]
+    );
+
+    // Check the swap before removing anything, so a blocked price impact
+    // doesn't leave the liquidity sitting in the wallet.
+    steps.push("Calculating swap ratio...");
+    const preview = await planRebalanceSwap(
+      position,
+      position.amount0Raw + position.fees0Raw,
+      position.amount1Raw + position.fees1Raw,
+      ticks,
       provider
     );
-    const tokenABalance = await tokenA.balanceOf(userAddress);
+    if (preview) {
+      const impactCheck = checkPriceImpact(preview.priceImpact);
+      if (impactCheck.level === "blocked") {
+        throw new Error(impactCheck.message);
+      }
+    }
 
-    steps.push("Approving tokens...");
-    await Promise.all([
-      approveToken(
-        tokenAAddress,
-        getContracts(chainId).NONFUNGIBLE_POSITION_MANAGER,
-        tokenABalance,
+    const getBalances = () =>
+      Promise.all([
+        getTokenBalance(position.token0, owner, provider),
+        getTokenBalance(position.token1, owner, provider),
+      ]);
+    const [before0, before1] = await getBalances();
+
+    steps.push("Removing liquidity and collecting fees...");
+    const expected = getPositionAmounts(
+      position.sqrtPriceX96,
+      position.tickLower,
+      position.tickUpper,
+      position.liquidity
+    );
+    const removeTx = await removeLiquidity(
+      tokenId,
+      position.liquidity,
+      applySlippage(expected.amount0),
+      applySlippage(expected.amount1),
+      signer
+    );
+    const removeReceipt = await removeTx.wait();
+    const collected = parseCollectedAmounts(removeReceipt, tokenId) || {
+      amount0: expected.amount0 + position.fees0Raw,
+      amount1: expected.amount1 + position.fees1Raw,
+    };
+
+    let swapTx = null;
+    const swap = await planRebalanceSwap(
+      position,
+      collected.amount0,
+      collected.amount1,
+      ticks,
+      provider
+    );
+    if (swap) {
+      steps.push(`Approving ${swap.from.symbol}...`);
+      await approveUnlessPermit(
+        swap.from.token,
+        contracts.SWAP_ROUTER,
+        swap.amountIn,
         signer
-      ),
-      approveToken(
-        usdtAddress,
-        getContracts(chainId).NONFUNGIBLE_POSITION_MANAGER,
-        usdtAmount,
+      );
+      const permits = await signPermits(
+        [{ token: swap.from.token, amount: swap.amountIn }],
+        contracts.SWAP_ROUTER,
         signer
-      ),
-    ]);
+      );
 
-    steps.push("Adding liquidity...");
-    const liquidityTx = await addLiquidity(
-      tokenAAddress,
-      usdtAddress,
-      tokenABalance,
-      usdtAmount,
-      fee,
+      steps.push(`Swapping ${swap.from.symbol} to ${swap.to.symbol}...`);
+      const tx = await executeRoute(
+        swap.route,
+        swap.amountIn,
+        applySlippage(swap.route.amountOut),
+        signer,
+        { permits }
+      );
+      swapTx = (await tx.wait()).hash;
+    }
+
+    const [after0, after1] = await getBalances();
+    const amount0 = after0 - before0;
+    const amount1 = after1 - before1;
+    const mintTokens = [
+      { token: position.token0, amount: amount0 },
+      { token: position.token1, amount: amount1 },
+    ].filter((entry) => entry.amount > 0n);
+
+    steps.push("Approving tokens...");
+    for (const { token, amount } of mintTokens) {
+      await approveUnlessPermit(
+        token,
+        contracts.NONFUNGIBLE_POSITION_MANAGER,
+        amount,
+        signer
+      );
+    }
+    const minimums = await getLiquidityMinimums(
+      position.poolAddress,
+      ticks.tickLower,
+      ticks.tickUpper,
+      true,
+      amount0,
+      amount1,
+      provider
+    );
+    const permits = await signPermits(
+      mintTokens,
+      contracts.NONFUNGIBLE_POSITION_MANAGER,
       signer
     );
-    const liquidityReceipt = await liquidityTx.wait();
-
-    let nftTokenId = null;
-    const iface = new ethers.Interface([
-      "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
-    ]);
-    for (const log of liquidityReceipt.logs || []) {
-      try {
-        const parsed = iface.parseLog(log);
-        if (
-          parsed?.name === "Transfer" &&
-          parsed.args.from === ethers.ZeroAddress
-        ) {
-          nftTokenId = parsed.args.tokenId.toString();
-          break;
-        }
-      } catch {}
+
+    steps.push("Minting new position...");
+    const mintTx = await addLiquidity(
+      position.token0,
+      position.token1,
+      amount0,
+      amount1,
+      position.fee,
+      signer,
+      { ...ticks, ...minimums, permits }
+    );
+    const mintReceipt = await mintTx.wait();
+    const newTokenId = parseMintedTokenId(mintReceipt);
+    const added = parseAddedLiquidity(mintReceipt) || {
+      liquidity: null,
+      amount0,
+      amount1,
+    };
+    const deposited = getCollectedAmounts(position, added).map((amount) => ({
+      ...amount,
+      direction: "deposit",
+    }));
+
+    await recordActivity(signer, {
+      type: ACTIVITY_TYPES.REBALANCE,
+      txs: [removeReceipt.hash, swapTx, mintReceipt.hash],
+      tokenId: newTokenId,
+      fromTokenId: position.tokenId,
+      liquidity: added.liquidity,
+      amounts: deposited,
+      fees: getPositionFees(position),
+    });
+
+    return {
+      success: true,
+      action: "rebalance",
+      steps,
+      oldTokenId: position.tokenId,
+      nftTokenId: newTokenId,
+      removeTx: removeReceipt.hash,
+      swapTx,
+      liquidityTx: mintReceipt.hash,
+      tickLower: ticks.tickLower,
+      tickUpper: ticks.tickUpper,
+      deposited: deposited
+        .map((amount) => `${amount.amount} ${amount.symbol}`)
+        .join(" + "),
+    };
+  } catch (error) {
+    console.error("[rebalancePosition] Error:", {
+      error: error.message,
+      stack: error.stack,
+      steps,
+      tokenId: tokenId.toString(),
+      chainId,
+    });
+    return getFailure(steps, error);
+  }
+}
+
+function getCakeRewards(receipt, tokenIds, chainId) {
+  const harvested = parseHarvestedCake(receipt);
+  return tokenIds
+    .filter((tokenId) => harvested[tokenId.toString()] > 0n)
+    .map((tokenId) => ({
+      tokenId: tokenId.toString(),
+      direction: "in",
+      token: getTokens(chainId).CAKE,
+      symbol: "CAKE",
+      amount: ethers.formatEther(harvested[tokenId.toString()]),
+    }));
+}
+
+export async function stakePosition(tokenId, signer) {
+  const provider = signer.provider;
+  const owner = await signer.getAddress();
+  const steps = [];
+
+  try {
+    steps.push("Checking farm...");
+    const position = await getPositionDetails(tokenId, owner, provider);
+    const [pid] = await getFarmPids([position.poolAddress], provider);
+    if (pid === 0) {
+      throw new Error("This pool has no CAKE farm to stake in.");
     }
 
+    steps.push("Staking in farm...");
+    const tx = await stakeNft(tokenId, signer);
+    const receipt = await tx.wait();
+    await recordActivity(signer, {
+      type: ACTIVITY_TYPES.STAKE,
+      txs: [receipt.hash],
+      tokenId: position.tokenId,
+    });
+
     return {
       success: true,
+      action: "stake",
       steps,
-      swapTx: swapReceipt.hash,
-      liquidityTx: liquidityReceipt.hash,
-      nftTokenId,
-      tokenAAmount: ethers.formatUnits(tokenABalance, tokenADecimals),
-      usdtAmount: ethers.formatUnits(usdtAmount, usdtDecimals),
+      stakeTx: receipt.hash,
+      tokenId: position.tokenId,
     };
   } catch (error) {
-    console.error("[provideLiquidity] Error:", {
+    console.error("[stakePosition] Error:", {
       error: error.message,
       stack: error.stack,
       steps,
-      investmentAmount,
-      tokenAAddress,
+      tokenId: tokenId.toString(),
+    });
+    return getFailure(steps, error);
+  }
+}
+
+// Returns the NFT to the wallet; MasterChef V3 pays out the pending CAKE in
+// the same transaction.
+export async function unstakePosition(tokenId, signer) {
+  const chainId = Number((await signer.provider.getNetwork()).chainId);
+  const steps = [];
+
+  try {
+    steps.push("Unstaking and harvesting CAKE...");
+    const tx = await unstakeNft(tokenId, signer);
+    const receipt = await tx.wait();
+    const rewards = getCakeRewards(receipt, [tokenId], chainId);
+    await recordActivity(signer, {
+      type: ACTIVITY_TYPES.UNSTAKE,
+      txs: [receipt.hash],
+      tokenId,
+      amounts: rewards,
+    });
+
+    return {
+      success: true,
+      action: "unstake",
+      steps,
+      unstakeTx: receipt.hash,
+      tokenId: tokenId.toString(),
+      cakeAmount: rewards[0]?.amount ?? "0",
+    };
+  } catch (error) {
+    console.error("[unstakePosition] Error:", {
+      error: error.message,
+      stack: error.stack,
+      steps,
+      tokenId: tokenId.toString(),
+      chainId,
+    });
+    return getFailure(steps, error);
+  }
+}
+
+export async function harvestFarmRewards(tokenIds, signer) {
+  const chainId = Number((await signer.provider.getNetwork()).chainId);
+  const steps = [];
+
+  try {
+    steps.push(
+      tokenIds.length === 1
+        ? "Harvesting CAKE..."
+        : `Harvesting CAKE from ${tokenIds.length} positions...`
+    );
+    const tx = await harvestCake(tokenIds, signer);
+    const receipt = await tx.wait();
+    const rewards = getCakeRewards(receipt, tokenIds, chainId);
+    await recordActivity(signer, {
+      type: ACTIVITY_TYPES.HARVEST,
+      txs: [receipt.hash],
+      tokenId: tokenIds.length === 1 ? tokenIds[0] : null,
+      amounts: rewards,
+    });
+
+    return {
+      success: true,
+      action: "harvest",
+      steps,
+      harvestTx: receipt.hash,
+      cakeAmount: ethers.formatEther(
+        rewards.reduce(
+          (sum, reward) => sum + ethers.parseEther(reward.amount),
+          0n
+        )
+      ),
+    };
+  } catch (error) {
+    console.error("[harvestFarmRewards] Error:", {
+      error: error.message,
+      stack: error.stack,
+      steps,
+      tokenIds: tokenIds.map((tokenId) => tokenId.toString()),
       chainId,
     });
-    return { success: false, steps, error: error.message };
+    return getFailure(steps, error);
   }
 }
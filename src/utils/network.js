@@ -0,0 +1,86 @@
+import { ethers } from "ethers";
+import { CHAINS, TOKENS } from "../config/contracts.js";
+
+// Wallet error code for a chain it has not been told about yet.
+const UNRECOGNIZED_CHAIN = 4902;
+
+export const SUPPORTED_CHAIN_IDS = Object.keys(CHAINS).map(Number);
+
+export function isSupportedChain(chainId) {
+  return CHAINS[chainId] !== undefined;
+}
+
+export function getChain(chainId) {
+  const chain = CHAINS[chainId];
+  if (!chain) {
+    const names = Object.values(CHAINS)
+      .map((supported) => supported.name)
+      .join(", ");
+    throw new Error(
+      `Unsupported network (chain ID ${chainId}). Please switch to one of: ${names}.`
+    );
+  }
+  return chain;
+}
+
+export function getNativeSymbol(chainId) {
+  return getChain(chainId).nativeCurrency.symbol;
+}
+
+export function getWrappedNative(chainId) {
+  return TOKENS[chainId][getChain(chainId).wrappedNative];
+}
+
+export function getExplorerTxUrl(chainId, hash) {
+  return `${getChain(chainId).explorer}/tx/${hash}`;
+}
+
+// Asks the wallet to switch to `chainId`, adding the network first when the
+// wallet does not know it.
+export async function switchNetwork(ethereum, chainId) {
+  const chain = getChain(chainId);
+  const hexChainId = ethers.toQuantity(chainId);
+  try {
+    await ethereum.request({
+      method: "wallet_switchEthereumChain",
+      params: [{ chainId: hexChainId }],
+    });
+  } catch (error) {
+    if (error.code === 4001) {
+      throw new Error("Network switch cancelled.");
+    }
+    if (
+      error.code !== UNRECOGNIZED_CHAIN &&
+      error.data?.originalError?.code !== UNRECOGNIZED_CHAIN
+    ) {
+      console.error("[switchNetwork] Error:", {
+        error: error.message,
+        code: error.code,
+        chainId,
+      });
+      throw new Error(`Failed to switch to ${chain.name}. Please try again.`);
+    }
+
+    try {
+      await ethereum.request({
+        method: "wallet_addEthereumChain",
+        params: [
+          {
+            chainId: hexChainId,
+            chainName: chain.name,
+            nativeCurrency: chain.nativeCurrency,
+            rpcUrls: chain.rpcUrls,
+            blockExplorerUrls: [chain.explorer],
+          },
+        ],
+      });
+    } catch (addError) {
+      console.error("[switchNetwork] Error:", {
+        error: addError.message,
+        code: addError.code,
+        chainId,
+      });
+      throw new Error(`Failed to add ${chain.name} to your wallet.`);
+    }
+  }
+}
@@ -5,6 +5,10 @@ import {
   FeeAmount,
 } from "@pancakeswap/v3-sdk";
 import { CONTRACTS, TOKENS } from "../config/contracts.js";
+import { getChain } from "./network.js";
+import { cachedRead, getCachedRead, multicall } from "./rpc.js";
+import { decodeError } from "./errors.js";
+import { getApprovalAmount, getDeadline } from "./settings.js";
 import {
   ERC20_ABI,
   FACTORY_ABI,
@@ -14,26 +18,149 @@ import {
   POOL_ABI,
 } from "./abis.js";
 
+const MAX_UINT128 = 2n ** 128n - 1n;
+
 export function getContracts(chainId) {
-  return CONTRACTS[chainId] || CONTRACTS[56];
+  getChain(chainId);
+  return CONTRACTS[chainId];
 }
 
 export function getTokens(chainId) {
-  return TOKENS[chainId] || TOKENS[56];
+  getChain(chainId);
+  return TOKENS[chainId];
 }
 
 async function getChainId(provider) {
   return Number((await provider.getNetwork()).chainId);
 }
 
+function getPositionManager(chainId, runner) {
+  return new ethers.Contract(
+    getContracts(chainId).NONFUNGIBLE_POSITION_MANAGER,
+    POSITION_MANAGER_ABI,
+    runner
+  );
+}
+
+// Signed EIP-2612 permits ride in front of the actual calls in a multicall,
+// so the spender pulls tokens without a separate approve transaction. Native
+// currency sent as value is wrapped by the contract when it pays the wrapped
+// token, and refundETH returns whatever was not spent.
+function buildMulticall(contract, calls, { permits = [], value = 0n } = {}) {
+  const data = permits.map((permit) =>
+    contract.interface.encodeFunctionData("selfPermitIfNecessary", [
+      permit.token,
+      permit.value,
+      permit.deadline,
+      permit.v,
+      permit.r,
+      permit.s,
+    ])
+  );
+  for (const [method, args] of calls) {
+    data.push(contract.interface.encodeFunctionData(method, args));
+  }
+  if (value > 0n) {
+    data.push(contract.interface.encodeFunctionData("refundETH"));
+  }
+  return data;
+}
+
+async function sendWithPayments(contract, method, args, options = {}) {
+  const { permits = [], value = 0n } = options;
+  if (permits.length === 0 && value === 0n) {
+    return await contract[method](...args);
+  }
+  return await contract.multicall(
+    buildMulticall(contract, [[method, args]], { permits, value }),
+    { value }
+  );
+}
+
+function getPoolCacheKey(chainId, tokenA, tokenB, fee) {
+  const [token0, token1] = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort();
+  return `pool:${chainId}:${token0}:${token1}:${fee}`;
+}
+
+// Existing pools never move, so found addresses are cached; a missing pool is
+// looked up again next time in case it has been created since.
 export async function getPoolAddress(tokenA, tokenB, fee, provider) {
   const chainId = await getChainId(provider);
-  const factory = new ethers.Contract(
-    getContracts(chainId).FACTORY,
-    FACTORY_ABI,
-    provider
+  return await cachedRead(
+    getPoolCacheKey(chainId, tokenA, tokenB, fee),
+    () => {
+      const factory = new ethers.Contract(
+        getContracts(chainId).FACTORY,
+        FACTORY_ABI,
+        provider
+      );
+      return factory.getPool(tokenA, tokenB, fee);
+    },
+    (poolAddress) => poolAddress !== ethers.ZeroAddress
   );
-  return await factory.getPool(tokenA, tokenB, fee);
+}
+
+// Pool addresses for several fee tiers of one pair, sharing getPoolAddress's
+// cache. Only the fee tiers not cached yet are read, in one Multicall3 batch.
+export async function getPoolAddresses(tokenA, tokenB, fees, provider) {
+  const chainId = await getChainId(provider);
+  const keys = fees.map((fee) => getPoolCacheKey(chainId, tokenA, tokenB, fee));
+  const cached = keys.map((key) => getCachedRead(key));
+  const misses = fees.filter((_, i) => !cached[i]);
+
+  let fetched = [];
+  if (misses.length > 0) {
+    const factory = new ethers.Contract(
+      getContracts(chainId).FACTORY,
+      FACTORY_ABI,
+      provider
+    );
+    try {
+      fetched = await multicall(
+        misses.map((fee) => ({
+          contract: factory,
+          method: "getPool",
+          args: [tokenA, tokenB, fee],
+        })),
+        provider
+      );
+    } catch (error) {
+      console.error("[getPoolAddresses] Error:", {
+        error: error.message,
+        stack: error.stack,
+        tokenA,
+        tokenB,
+        fees: misses,
+        chainId,
+      });
+      throw error;
+    }
+  }
+
+  return await Promise.all(
+    fees.map(
+      (fee, i) =>
+        cached[i] ??
+        cachedRead(
+          keys[i],
+          async () => fetched[misses.indexOf(fee)] ?? ethers.ZeroAddress,
+          (poolAddress) => poolAddress !== ethers.ZeroAddress
+        )
+    )
+  );
+}
+
+export async function getPoolState(poolAddress, provider) {
+  const pool = new ethers.Contract(poolAddress, POOL_ABI, provider);
+  const [slot0, liquidity] = await Promise.all([
+    pool.slot0(),
+    pool.liquidity(),
+  ]);
+  return {
+    sqrtPriceX96: slot0.sqrtPriceX96,
+    tick: Number(slot0.tick),
+    liquidity,
+  };
 }
 
 export async function findAvailablePool(
@@ -46,21 +173,44 @@ export async function findAvailablePool(
     ? [preferredFee, FeeAmount.LOW, FeeAmount.MEDIUM, FeeAmount.HIGH]
     : [FeeAmount.LOW, FeeAmount.MEDIUM, FeeAmount.HIGH];
 
-  for (const fee of [...new Set(fees)]) {
-    const poolAddress = await getPoolAddress(tokenA, tokenB, fee, provider);
-    if (poolAddress !== ethers.ZeroAddress) {
-      return { poolAddress, fee };
-    }
-  }
-  return null;
+  const uniqueFees = [...new Set(fees)];
+  const poolAddresses = await getPoolAddresses(
+    tokenA,
+    tokenB,
+    uniqueFees,
+    provider
+  );
+  const index = poolAddresses.findIndex(
+    (poolAddress) => poolAddress !== ethers.ZeroAddress
+  );
+  return index === -1
+    ? null
+    : { poolAddress: poolAddresses[index], fee: uniqueFees[index] };
 }
 
 export async function getSwapQuote(tokenIn, tokenOut, amountIn, fee, provider) {
+  const quote = await getSwapQuoteDetails(
+    tokenIn,
+    tokenOut,
+    amountIn,
+    fee,
+    provider
+  );
+  return quote.amountOut;
+}
+
+export async function getSwapQuoteDetails(
+  tokenIn,
+  tokenOut,
+  amountIn,
+  fee,
+  provider
+) {
   const chainId = await getChainId(provider);
   const poolAddress = await getPoolAddress(tokenIn, tokenOut, fee, provider);
 
   if (poolAddress === ethers.ZeroAddress) {
-    console.error("[getSwapQuote] Pool does not exist", {
+    console.error("[getSwapQuoteDetails] Pool does not exist", {
       tokenIn,
       tokenOut,
       fee,
@@ -85,10 +235,14 @@ export async function getSwapQuote(tokenIn, tokenOut, amountIn, fee, provider) {
       fee,
       sqrtPriceLimitX96: 0,
     });
-    const finalResult = Array.isArray(result) ? result[0] : result;
-    return finalResult;
+    return {
+      amountOut: result.amountOut,
+      sqrtPriceX96After: result.sqrtPriceX96After,
+      initializedTicksCrossed: Number(result.initializedTicksCrossed),
+      gasEstimate: result.gasEstimate,
+    };
   } catch (error) {
-    console.error("[getSwapQuote] Quote call failed:", {
+    console.error("[getSwapQuoteDetails] Quote call failed:", {
       error: error.message,
       stack: error.stack,
       tokenIn,
@@ -104,13 +258,162 @@ export async function getSwapQuote(tokenIn, tokenOut, amountIn, fee, provider) {
   }
 }
 
+export async function quoteExactInputPath(path, amountIn, provider) {
+  const chainId = await getChainId(provider);
+  const quoter = new ethers.Contract(
+    getContracts(chainId).QUOTER,
+    QUOTER_ABI,
+    provider
+  );
+
+  try {
+    const result = await quoter.quoteExactInput.staticCall(
+      path,
+      amountIn.toString()
+    );
+    return {
+      amountOut: result.amountOut,
+      sqrtPriceX96AfterList: [...result.sqrtPriceX96AfterList],
+      gasEstimate: result.gasEstimate,
+    };
+  } catch (error) {
+    console.error("[quoteExactInputPath] Quote call failed:", {
+      error: error.message,
+      stack: error.stack,
+      path,
+      amountIn: amountIn.toString(),
+      chainId,
+    });
+    throw new Error(
+      "Unable to get price quote. Try a smaller amount or different token."
+    );
+  }
+}
+
+export async function executeSwapPath(
+  path,
+  amountIn,
+  amountOutMin,
+  signer,
+  options = {}
+) {
+  const chainId = await getChainId(signer.provider);
+  const routerAddress = getContracts(chainId).SWAP_ROUTER;
+  const router = new ethers.Contract(routerAddress, SWAP_ROUTER_ABI, signer);
+
+  try {
+    const params = {
+      path,
+      recipient: await signer.getAddress(),
+      deadline: getDeadline(),
+      amountIn: amountIn.toString(),
+      amountOutMinimum: amountOutMin.toString(),
+    };
+    return await sendWithPayments(router, "exactInput", [params], options);
+  } catch (error) {
+    console.error("[executeSwapPath] Swap execution failed:", {
+      error: error.message,
+      stack: error.stack,
+      code: error.code,
+      data: error.data,
+      path,
+      amountIn: amountIn.toString(),
+      amountOutMin: amountOutMin.toString(),
+      chainId,
+      routerAddress,
+    });
+
+    throw decodeError(error, "Swap failed. Please try again.");
+  }
+}
+
+function buildSwapBatch(router, swaps, recipient, options) {
+  const calls = swaps.map((swap) => [
+    "exactInput",
+    [
+      {
+        path: swap.path,
+        recipient,
+        deadline: getDeadline(),
+        amountIn: swap.amountIn.toString(),
+        amountOutMinimum: swap.amountOutMin.toString(),
+      },
+    ],
+  ]);
+  if (options.unwrapTo) {
+    calls.push(["unwrapWETH9", [options.unwrapMin ?? 0n, options.unwrapTo]]);
+  }
+  return buildMulticall(router, calls, options);
+}
+
+// Runs several exact-input swaps in one router multicall. Legs that start at
+// the wrapped native token are paid from `value`; with `unwrapTo`, wrapped
+// output is sent to that address as native currency.
+export async function executeSwapBatch(swaps, signer, options = {}) {
+  const chainId = await getChainId(signer.provider);
+  const routerAddress = getContracts(chainId).SWAP_ROUTER;
+  const router = new ethers.Contract(routerAddress, SWAP_ROUTER_ABI, signer);
+  const recipient = options.unwrapTo
+    ? routerAddress
+    : await signer.getAddress();
+  const value = options.value ?? 0n;
+
+  try {
+    return await router.multicall(
+      buildSwapBatch(router, swaps, recipient, options),
+      { value }
+    );
+  } catch (error) {
+    console.error("[executeSwapBatch] Swap execution failed:", {
+      error: error.message,
+      stack: error.stack,
+      code: error.code,
+      data: error.data,
+      swaps: swaps.map((swap) => ({
+        path: swap.path,
+        amountIn: swap.amountIn.toString(),
+        amountOutMin: swap.amountOutMin.toString(),
+      })),
+      value: value.toString(),
+      chainId,
+      routerAddress,
+    });
+
+    throw decodeError(error, "Swap failed. Please try again.");
+  }
+}
+
+export async function simulateSwapBatch(swaps, signer, options = {}) {
+  const chainId = await getChainId(signer.provider);
+  const routerAddress = getContracts(chainId).SWAP_ROUTER;
+  const router = new ethers.Contract(routerAddress, SWAP_ROUTER_ABI, signer);
+  const from = await signer.getAddress();
+  const value = options.value ?? 0n;
+  const calls = buildSwapBatch(router, swaps, from, options);
+
+  const [results, gas] = await Promise.all([
+    router.multicall.staticCall(calls, { from, value }),
+    router.multicall.estimateGas(calls, { from, value }),
+  ]);
+  const offset = options.permits?.length ?? 0;
+  return {
+    amountsOut: swaps.map(
+      (swap, i) =>
+        router.interface.decodeFunctionResult("exactInput", results[offset + i])
+          .amountOut
+    ),
+    gas,
+  };
+}
+
 export async function executeSwap(
   tokenIn,
   tokenOut,
   amountIn,
   amountOutMin,
   fee,
-  signer
+  signer,
+  options = {}
 ) {
   const chainId = await getChainId(signer.provider);
   const routerAddress = getContracts(chainId).SWAP_ROUTER;
@@ -118,10 +421,10 @@ export async function executeSwap(
   const router = new ethers.Contract(routerAddress, SWAP_ROUTER_ABI, signer);
 
   const recipient = await signer.getAddress();
-  const deadline = Math.floor(Date.now() / 1000) + 1200;
+  const deadline = getDeadline();
 
   try {
-    const tx = await router.exactInputSingle({
+    const params = {
       tokenIn,
       tokenOut,
       fee,
@@ -130,7 +433,13 @@ export async function executeSwap(
       amountIn: amountIn.toString(),
       amountOutMinimum: amountOutMin.toString(),
       sqrtPriceLimitX96: 0,
-    });
+    };
+    const tx = await sendWithPayments(
+      router,
+      "exactInputSingle",
+      [params],
+      options
+    );
     return tx;
   } catch (error) {
     console.error("[executeSwap] Swap execution failed:", {
@@ -147,50 +456,86 @@ export async function executeSwap(
       routerAddress,
     });
 
-    if (error.message && error.message.includes("user rejected")) {
-      throw new Error("Transaction cancelled. Please try again.");
-    }
-    if (error.message && error.message.includes("insufficient funds")) {
-      throw new Error("Not enough balance. Please check your wallet.");
-    }
-    throw new Error("Swap failed. Please try again.");
+    throw decodeError(error, "Swap failed. Please try again.");
   }
 }
 
-export async function addLiquidity(
+function buildMinAmounts(isToken0A, { amountAMin = 0n, amountBMin = 0n }) {
+  return {
+    amount0Min: (isToken0A ? amountAMin : amountBMin).toString(),
+    amount1Min: (isToken0A ? amountBMin : amountAMin).toString(),
+  };
+}
+
+function buildMintParams(
   tokenA,
   tokenB,
   amountA,
   amountB,
   fee,
-  signer
+  recipient,
+  options = {}
 ) {
-  const chainId = await getChainId(signer.provider);
-  const positionManager = new ethers.Contract(
-    getContracts(chainId).NONFUNGIBLE_POSITION_MANAGER,
-    POSITION_MANAGER_ABI,
-    signer
-  );
-
   const tickSpacing = TICK_SPACINGS[fee];
   const token0 = tokenA.toLowerCase() < tokenB.toLowerCase() ? tokenA : tokenB;
   const token1 = tokenA.toLowerCase() < tokenB.toLowerCase() ? tokenB : tokenA;
   const isToken0A = token0.toLowerCase() === tokenA.toLowerCase();
 
+  return {
+    token0,
+    token1,
+    fee,
+    tickLower: options.tickLower ?? nearestUsableTick(-887272, tickSpacing),
+    tickUpper: options.tickUpper ?? nearestUsableTick(887272, tickSpacing),
+    amount0Desired: (isToken0A ? amountA : amountB).toString(),
+    amount1Desired: (isToken0A ? amountB : amountA).toString(),
+    ...buildMinAmounts(isToken0A, options),
+    recipient,
+    deadline: getDeadline(),
+  };
+}
+
+function buildIncreaseParams(
+  tokenId,
+  tokenA,
+  tokenB,
+  amountA,
+  amountB,
+  options = {}
+) {
+  const isToken0A = tokenA.toLowerCase() < tokenB.toLowerCase();
+  return {
+    tokenId,
+    amount0Desired: (isToken0A ? amountA : amountB).toString(),
+    amount1Desired: (isToken0A ? amountB : amountA).toString(),
+    ...buildMinAmounts(isToken0A, options),
+    deadline: getDeadline(),
+  };
+}
+
+export async function addLiquidity(
+  tokenA,
+  tokenB,
+  amountA,
+  amountB,
+  fee,
+  signer,
+  options = {}
+) {
+  const chainId = await getChainId(signer.provider);
+  const positionManager = getPositionManager(chainId, signer);
+
   try {
-    return await positionManager.mint({
-      token0,
-      token1,
+    const params = buildMintParams(
+      tokenA,
+      tokenB,
+      amountA,
+      amountB,
       fee,
-      tickLower: nearestUsableTick(-887272, tickSpacing),
-      tickUpper: nearestUsableTick(887272, tickSpacing),
-      amount0Desired: (isToken0A ? amountA : amountB).toString(),
-      amount1Desired: (isToken0A ? amountB : amountA).toString(),
-      amount0Min: 0,
-      amount1Min: 0,
-      recipient: await signer.getAddress(),
-      deadline: Math.floor(Date.now() / 1000) + 1200,
-    });
+      await signer.getAddress(),
+      options
+    );
+    return await sendWithPayments(positionManager, "mint", [params], options);
   } catch (error) {
     console.error("[addLiquidity] Error:", {
       error: error.message,
@@ -201,17 +546,257 @@ export async function addLiquidity(
       amountA: amountA.toString(),
       amountB: amountB.toString(),
       fee,
+      options,
       chainId,
     });
 
-    if (error.message && error.message.includes("user rejected")) {
-      throw new Error("Transaction cancelled. Please try again.");
-    }
-    if (error.message && error.message.includes("insufficient funds")) {
-      throw new Error("Not enough balance. Please check your wallet.");
-    }
-    throw new Error("Failed to add liquidity. Please try again.");
+    throw decodeError(error, "Failed to add liquidity. Please try again.");
+  }
+}
+
+export async function increaseLiquidity(
+  tokenId,
+  tokenA,
+  tokenB,
+  amountA,
+  amountB,
+  signer,
+  options = {}
+) {
+  const chainId = await getChainId(signer.provider);
+  const positionManager = getPositionManager(chainId, signer);
+  try {
+    const params = buildIncreaseParams(
+      tokenId,
+      tokenA,
+      tokenB,
+      amountA,
+      amountB,
+      options
+    );
+    return await sendWithPayments(
+      positionManager,
+      "increaseLiquidity",
+      [params],
+      options
+    );
+  } catch (error) {
+    console.error("[increaseLiquidity] Error:", {
+      error: error.message,
+      stack: error.stack,
+      code: error.code,
+      tokenId: tokenId.toString(),
+      tokenA,
+      tokenB,
+      amountA: amountA.toString(),
+      amountB: amountB.toString(),
+      chainId,
+    });
+
+    throw decodeError(error, "Failed to add liquidity. Please try again.");
+  }
+}
+
+export async function simulateLiquidity(
+  { tokenId, tokenA, tokenB, amountA, amountB, fee, ticks, value = 0n },
+  signer
+) {
+  const chainId = await getChainId(signer.provider);
+  const positionManager = getPositionManager(chainId, signer);
+  const from = await signer.getAddress();
+  const [method, params] = tokenId
+    ? [
+        "increaseLiquidity",
+        buildIncreaseParams(tokenId, tokenA, tokenB, amountA, amountB),
+      ]
+    : [
+        "mint",
+        buildMintParams(tokenA, tokenB, amountA, amountB, fee, from, ticks),
+      ];
+
+  let result;
+  let gas;
+  if (value > 0n) {
+    const calls = buildMulticall(positionManager, [[method, [params]]], {
+      value,
+    });
+    const [results, estimate] = await Promise.all([
+      positionManager.multicall.staticCall(calls, { from, value }),
+      positionManager.multicall.estimateGas(calls, { from, value }),
+    ]);
+    result = positionManager.interface.decodeFunctionResult(method, results[0]);
+    gas = estimate;
+  } else {
+    [result, gas] = await Promise.all([
+      positionManager[method].staticCall(params, { from }),
+      positionManager[method].estimateGas(params, { from }),
+    ]);
+  }
+  const isToken0A = tokenA.toLowerCase() < tokenB.toLowerCase();
+  return {
+    liquidity: result.liquidity,
+    amountA: isToken0A ? result.amount0 : result.amount1,
+    amountB: isToken0A ? result.amount1 : result.amount0,
+    gas,
+  };
+}
+
+export async function removeLiquidity(
+  tokenId,
+  liquidity,
+  amount0Min,
+  amount1Min,
+  signer,
+  { burn = false } = {}
+) {
+  const chainId = await getChainId(signer.provider);
+  const positionManager = getPositionManager(chainId, signer);
+  const recipient = await signer.getAddress();
+  const calls = [];
+  if (BigInt(liquidity) > 0n) {
+    calls.push(
+      positionManager.interface.encodeFunctionData("decreaseLiquidity", [
+        {
+          tokenId,
+          liquidity: liquidity.toString(),
+          amount0Min: amount0Min.toString(),
+          amount1Min: amount1Min.toString(),
+          deadline: getDeadline(),
+        },
+      ])
+    );
+  }
+  calls.push(
+    positionManager.interface.encodeFunctionData("collect", [
+      {
+        tokenId,
+        recipient,
+        amount0Max: MAX_UINT128,
+        amount1Max: MAX_UINT128,
+      },
+    ])
+  );
+  if (burn) {
+    calls.push(positionManager.interface.encodeFunctionData("burn", [tokenId]));
+  }
+
+  try {
+    return await positionManager.multicall(calls);
+  } catch (error) {
+    console.error("[removeLiquidity] Error:", {
+      error: error.message,
+      stack: error.stack,
+      code: error.code,
+      tokenId: tokenId.toString(),
+      liquidity: liquidity.toString(),
+      amount0Min: amount0Min.toString(),
+      amount1Min: amount1Min.toString(),
+      burn,
+      chainId,
+    });
+
+    throw decodeError(error, "Failed to remove liquidity. Please try again.");
+  }
+}
+
+export async function collectFees(tokenIds, signer) {
+  const chainId = await getChainId(signer.provider);
+  const positionManager = getPositionManager(chainId, signer);
+  const recipient = await signer.getAddress();
+  const calls = tokenIds.map((tokenId) =>
+    positionManager.interface.encodeFunctionData("collect", [
+      {
+        tokenId,
+        recipient,
+        amount0Max: MAX_UINT128,
+        amount1Max: MAX_UINT128,
+      },
+    ])
+  );
+
+  try {
+    return await positionManager.multicall(calls);
+  } catch (error) {
+    console.error("[collectFees] Error:", {
+      error: error.message,
+      stack: error.stack,
+      code: error.code,
+      tokenIds: tokenIds.map((tokenId) => tokenId.toString()),
+      chainId,
+    });
+
+    throw decodeError(error, "Failed to collect fees. Please try again.");
+  }
+}
+
+export function parseMintedTokenId(receipt) {
+  const iface = new ethers.Interface([
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+  ]);
+  for (const log of receipt.logs || []) {
+    try {
+      const parsed = iface.parseLog(log);
+      if (
+        parsed?.name === "Transfer" &&
+        parsed.args.from === ethers.ZeroAddress
+      ) {
+        return parsed.args.tokenId.toString();
+      }
+    } catch {}
+  }
+  return null;
+}
+
+export function parseCollectedAmounts(receipt, tokenId) {
+  const iface = new ethers.Interface(POSITION_MANAGER_ABI);
+  for (const log of receipt.logs || []) {
+    try {
+      const parsed = iface.parseLog(log);
+      if (
+        parsed?.name === "Collect" &&
+        parsed.args.tokenId.toString() === tokenId.toString()
+      ) {
+        return { amount0: parsed.args.amount0, amount1: parsed.args.amount1 };
+      }
+    } catch {}
+  }
+  return null;
+}
+
+// Liquidity and token amounts actually added by a mint or increaseLiquidity
+// transaction, from its IncreaseLiquidity event.
+export function parseAddedLiquidity(receipt) {
+  const iface = new ethers.Interface(POSITION_MANAGER_ABI);
+  for (const log of receipt.logs || []) {
+    try {
+      const parsed = iface.parseLog(log);
+      if (parsed?.name === "IncreaseLiquidity") {
+        return {
+          liquidity: parsed.args.liquidity,
+          amount0: parsed.args.amount0,
+          amount1: parsed.args.amount1,
+        };
+      }
+    } catch {}
   }
+  return null;
+}
+
+export async function getAllowance(tokenAddress, owner, spender, provider) {
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+  return await token.allowance(owner, spender);
+}
+
+export async function estimateApproveGas(
+  tokenAddress,
+  spender,
+  amount,
+  signer
+) {
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+  return await token.approve.estimateGas(spender, amount, {
+    from: await signer.getAddress(),
+  });
 }
 
 export async function approveToken(tokenAddress, spender, amount, signer) {
@@ -219,7 +804,7 @@ export async function approveToken(tokenAddress, spender, amount, signer) {
     const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
     const allowance = await token.allowance(await signer.getAddress(), spender);
     if (allowance < amount) {
-      const tx = await token.approve(spender, amount);
+      const tx = await token.approve(spender, getApprovalAmount(amount));
       await tx.wait();
       return tx;
     }
@@ -233,22 +818,37 @@ export async function approveToken(tokenAddress, spender, amount, signer) {
       amount: amount.toString(),
     });
 
-    if (error.message && error.message.includes("user rejected")) {
-      throw new Error("Transaction cancelled. Please try again.");
-    }
-    throw new Error("Failed to approve token. Please try again.");
+    throw decodeError(error, "Failed to approve token. Please try again.");
   }
 }
 
-export async function getTokenDecimals(tokenAddress, provider) {
+export async function revokeApproval(tokenAddress, spender, signer) {
   try {
-    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-    return await token.decimals();
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+    const tx = await token.approve(spender, 0);
+    await tx.wait();
+    return tx;
   } catch (error) {
-    const chainId = await getChainId(provider);
-    const tokens = getTokens(chainId);
-    const tokenLower = tokenAddress.toLowerCase();
+    console.error("[revokeApproval] Error:", {
+      error: error.message,
+      stack: error.stack,
+      code: error.code,
+      tokenAddress,
+      spender,
+    });
 
+    throw decodeError(error, "Failed to revoke approval. Please try again.");
+  }
+}
+
+export async function getTokenDecimals(tokenAddress, provider) {
+  const chainId = await getChainId(provider);
+  const tokenLower = tokenAddress.toLowerCase();
+  try {
+    return await cachedRead(`decimals:${chainId}:${tokenLower}`, () =>
+      new ethers.Contract(tokenAddress, ERC20_ABI, provider).decimals()
+    );
+  } catch (error) {
     console.error("[getTokenDecimals] Token not found:", {
       error: error.message,
       stack: error.stack,
@@ -260,3 +860,74 @@ export async function getTokenDecimals(tokenAddress, provider) {
     throw new Error("Invalid token address. Please check and try again.");
   }
 }
+
+export async function getTokenBalance(tokenAddress, owner, provider) {
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+  return await token.balanceOf(owner);
+}
+
+export async function getTokenSymbol(tokenAddress, provider) {
+  const chainId = await getChainId(provider);
+  try {
+    return await cachedRead(
+      `symbol:${chainId}:${tokenAddress.toLowerCase()}`,
+      () => new ethers.Contract(tokenAddress, ERC20_ABI, provider).symbol()
+    );
+  } catch (error) {
+    console.error("[getTokenSymbol] Error:", {
+      error: error.message,
+      tokenAddress,
+    });
+    return `${tokenAddress.slice(0, 6)}...${tokenAddress.slice(-4)}`;
+  }
+}
+
+export async function getOwnedPositionIds(owner, provider) {
+  const chainId = await getChainId(provider);
+  const positionManager = getPositionManager(chainId, provider);
+  const count = Number(await positionManager.balanceOf(owner));
+  const tokenIds = await multicall(
+    Array.from({ length: count }, (_, i) => ({
+      contract: positionManager,
+      method: "tokenOfOwnerByIndex",
+      args: [owner, i],
+    })),
+    provider
+  );
+  return tokenIds.filter((tokenId) => tokenId !== null);
+}
+
+export async function getPosition(tokenId, provider) {
+  const chainId = await getChainId(provider);
+  const position = await getPositionManager(chainId, provider).positions(
+    tokenId
+  );
+  return {
+    tokenId: tokenId.toString(),
+    token0: position.token0,
+    token1: position.token1,
+    fee: Number(position.fee),
+    tickLower: Number(position.tickLower),
+    tickUpper: Number(position.tickUpper),
+    liquidity: position.liquidity,
+    tokensOwed0: position.tokensOwed0,
+    tokensOwed1: position.tokensOwed1,
+  };
+}
+
+export async function getUncollectedFees(tokenId, owner, provider) {
+  const chainId = await getChainId(provider);
+  const [amount0, amount1] = await getPositionManager(
+    chainId,
+    provider
+  ).collect.staticCall(
+    {
+      tokenId,
+      recipient: owner,
+      amount0Max: MAX_UINT128,
+      amount1Max: MAX_UINT128,
+    },
+    { from: owner }
+  );
+  return { amount0, amount1 };
+}
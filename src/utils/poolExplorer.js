@@ -0,0 +1,132 @@
+import { ethers } from "ethers";
+import { POOL_ABI } from "./abis.js";
+import { getTokenBalance } from "./pancakeswap.js";
+import { getUsableTickBounds, tickToPrice } from "./range.js";
+import { multicall } from "./rpc.js";
+
+// Tick bitmap words read on each side of the current tick. A word covers 256
+// tick spacings, so the chart spans roughly ±5% per word at the 0.01% tier
+// and several times the price at the 1% tier.
+const BITMAP_WORD_RADIUS = 2;
+
+// Mirrors TickBitmap.position: compress the tick to its spacing, rounding
+// towards negative infinity, then split it into a 256-bit word and bit.
+function getWordPosition(tick, tickSpacing) {
+  return Math.floor(tick / tickSpacing) >> 8;
+}
+
+// Current state of `pool` (from getPoolInfo): prices both ways, the active
+// liquidity and the Token A / Token B balances the pool contract holds.
+export async function getPoolOverview(pool, tokenAAddress, provider) {
+  const [reserveA, reserveB] = await Promise.all([
+    getTokenBalance(tokenAAddress, pool.poolAddress, provider),
+    getTokenBalance(pool.tokenBAddress, pool.poolAddress, provider),
+  ]);
+  return {
+    priceAInB: pool.price,
+    priceBInA: pool.price > 0 ? 1 / pool.price : null,
+    tick: pool.tick,
+    fee: pool.fee,
+    tickSpacing: pool.tickSpacing,
+    liquidity: pool.liquidity,
+    reserveA: ethers.formatUnits(reserveA, pool.tokenADecimals),
+    reserveB: ethers.formatUnits(reserveB, pool.tokenBDecimals),
+  };
+}
+
+// Active liquidity between every pair of initialized ticks near the current
+// price, found from the pool's tick bitmap. Starting from the pool's current
+// liquidity, crossing a tick upwards adds its liquidityNet and crossing it
+// downwards removes it. Segments come back sorted by Token A price in Token
+// B, which runs against the tick when Token A is token1.
+export async function getLiquidityDistribution(pool, provider) {
+  const contract = new ethers.Contract(pool.poolAddress, POOL_ABI, provider);
+  const { tickSpacing } = pool;
+  const { minTick, maxTick } = getUsableTickBounds(tickSpacing);
+  const centerWord = getWordPosition(pool.tick, tickSpacing);
+  const words = [];
+  for (
+    let word = centerWord - BITMAP_WORD_RADIUS;
+    word <= centerWord + BITMAP_WORD_RADIUS;
+    word++
+  ) {
+    words.push(word);
+  }
+
+  const bitmaps = await multicall(
+    words.map((word) => ({ contract, method: "tickBitmap", args: [word] })),
+    provider
+  );
+  const initializedTicks = [];
+  words.forEach((word, i) => {
+    const bitmap = bitmaps[i] ?? 0n;
+    for (let bit = 0; bit < 256; bit++) {
+      if ((bitmap >> BigInt(bit)) & 1n) {
+        initializedTicks.push((word * 256 + bit) * tickSpacing);
+      }
+    }
+  });
+
+  const tickData = await multicall(
+    initializedTicks.map((tick) => ({
+      contract,
+      method: "ticks",
+      args: [tick],
+    })),
+    provider
+  );
+  const liquidityNet = new Map(
+    initializedTicks.map((tick, i) => [tick, tickData[i]?.liquidityNet ?? 0n])
+  );
+
+  const windowLower = Math.max(
+    (centerWord - BITMAP_WORD_RADIUS) * 256 * tickSpacing,
+    minTick
+  );
+  const windowUpper = Math.min(
+    (centerWord + BITMAP_WORD_RADIUS + 1) * 256 * tickSpacing,
+    maxTick
+  );
+  const bounds = [
+    ...new Set([windowLower, ...initializedTicks, windowUpper]),
+  ].filter((tick) => tick >= windowLower && tick <= windowUpper);
+  bounds.sort((a, b) => a - b);
+
+  const current = Math.max(
+    bounds.findIndex(
+      (tick, i) => i < bounds.length - 1 && pool.tick < bounds[i + 1]
+    ),
+    0
+  );
+  const liquidities = [];
+  liquidities[current] = BigInt(pool.liquidity);
+  for (let i = current + 1; i < bounds.length - 1; i++) {
+    liquidities[i] = liquidities[i - 1] + (liquidityNet.get(bounds[i]) ?? 0n);
+  }
+  for (let i = current - 1; i >= 0; i--) {
+    liquidities[i] =
+      liquidities[i + 1] - (liquidityNet.get(bounds[i + 1]) ?? 0n);
+  }
+
+  const priceOf = (tick) =>
+    tickToPrice(tick, pool.isToken0A, pool.tokenADecimals, pool.tokenBDecimals);
+  const segments = bounds.slice(0, -1).map((tickLower, i) => {
+    const tickUpper = bounds[i + 1];
+    const prices = [priceOf(tickLower), priceOf(tickUpper)];
+    return {
+      tickLower,
+      tickUpper,
+      liquidity: liquidities[i] < 0n ? 0n : liquidities[i],
+      minPrice: Math.min(...prices),
+      maxPrice: Math.max(...prices),
+    };
+  });
+  segments.sort((a, b) => a.minPrice - b.minPrice);
+
+  return {
+    tickLower: windowLower,
+    tickUpper: windowUpper,
+    initializedTicks: initializedTicks.length,
+    segments,
+  };
+}
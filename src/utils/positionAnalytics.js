@@ -0,0 +1,124 @@
+import { ACTIVITY_TYPES, getFeesUsdt } from "./activity.js";
+
+const DEPOSIT_TYPES = [
+  ACTIVITY_TYPES.INVEST,
+  ACTIVITY_TYPES.INCREASE,
+  ACTIVITY_TYPES.REBALANCE,
+];
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+// APR over a shorter window is mostly noise from a single swap.
+const MIN_APR_WINDOW_MS = 60 * 60 * 1000;
+const SHARE_PRECISION = 1000000n;
+
+function sumValues(values) {
+  return values.reduce(
+    (sum, value) => (sum === null || value === null ? null : sum + value),
+    0
+  );
+}
+
+function getDeposited(deposits, token) {
+  const amounts = deposits
+    .flatMap((entry) => entry.amounts)
+    .filter(
+      (amount) =>
+        amount.direction === "deposit" &&
+        amount.token.toLowerCase() === token.toLowerCase()
+    );
+  return {
+    amount: amounts.reduce((sum, amount) => sum + Number(amount.amount), 0),
+    value: sumValues(
+      amounts.map((amount) =>
+        amount.priceUsdt === null
+          ? null
+          : Number(amount.amount) * amount.priceUsdt
+      )
+    ),
+  };
+}
+
+// PnL of `position` (from getPositionDetails) against what the wallet's
+// activity log recorded when it was minted, increased or rebalanced into. The
+// deposit is scaled to the share of that liquidity still in the position, so
+// partial withdrawals don't count as losses. "Hold" values the deposited
+// tokens at today's prices; the gap to the position's value is the
+// impermanent loss. Fees earned are the ones still uncollected plus those
+// collected through this app. Returns null when the log doesn't cover the
+// position's liquidity (e.g. it was opened elsewhere); USDT values are null
+// without a price.
+export function getPositionAnalytics(position, activity, now = Date.now()) {
+  const tokenId = position.tokenId.toString();
+  const deposits = activity.filter(
+    (entry) =>
+      DEPOSIT_TYPES.includes(entry.type) &&
+      entry.tokenId === tokenId &&
+      entry.liquidity
+  );
+  const liquidityAdded = deposits.reduce(
+    (sum, entry) => sum + BigInt(entry.liquidity),
+    0n
+  );
+  if (
+    position.closed ||
+    liquidityAdded === 0n ||
+    position.liquidity > liquidityAdded
+  ) {
+    return null;
+  }
+
+  const share =
+    Number((position.liquidity * SHARE_PRECISION) / liquidityAdded) /
+    Number(SHARE_PRECISION);
+  const deposited0 = getDeposited(deposits, position.token0);
+  const deposited1 = getDeposited(deposits, position.token1);
+  const totalDeposited = sumValues([deposited0.value, deposited1.value]);
+  const depositedValue =
+    totalDeposited === null ? null : totalDeposited * share;
+
+  const { price0Usdt, price1Usdt } = position;
+  const hasPrices = price0Usdt !== null && price1Usdt !== null;
+  const currentValue = hasPrices
+    ? Number(position.amount0) * price0Usdt +
+      Number(position.amount1) * price1Usdt
+    : null;
+  const holdValue = hasPrices
+    ? deposited0.amount * share * price0Usdt +
+      deposited1.amount * share * price1Usdt
+    : null;
+
+  const collectedFees = sumValues(
+    activity.map((entry) =>
+      getFeesUsdt({
+        fees: (entry.fees ?? []).filter((fee) => fee.tokenId === tokenId),
+      })
+    )
+  );
+  const feesEarned = sumValues([position.feesUsdt, collectedFees]);
+
+  const openedAt = Math.min(...deposits.map((entry) => entry.timestamp));
+  const elapsed = now - openedAt;
+  const feeApr =
+    feesEarned === null || !depositedValue || elapsed < MIN_APR_WINDOW_MS
+      ? null
+      : (feesEarned / depositedValue) * (YEAR_MS / elapsed) * 100;
+
+  const impermanentLoss =
+    currentValue === null ? null : currentValue - holdValue;
+  return {
+    openedAt,
+    depositedValue,
+    currentValue,
+    holdValue,
+    impermanentLoss,
+    impermanentLossPercent:
+      impermanentLoss === null || !holdValue
+        ? null
+        : (impermanentLoss / holdValue) * 100,
+    feesEarned,
+    feeApr,
+    pnl:
+      currentValue === null || feesEarned === null || depositedValue === null
+        ? null
+        : currentValue + feesEarned - depositedValue,
+  };
+}
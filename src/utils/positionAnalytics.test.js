@@ -0,0 +1,134 @@
+import { describe, expect, it } from "vitest";
+import { ACTIVITY_TYPES } from "./activity.js";
+import { getPositionAnalytics } from "./positionAnalytics.js";
+
+const TOKEN0 = "0x0000000000000000000000000000000000000001";
+const TOKEN1 = "0x0000000000000000000000000000000000000002";
+const HOUR = 60 * 60 * 1000;
+const OPENED_AT = 1700000000000;
+const YEAR = 365 * 24 * HOUR;
+
+function deposit({ liquidity = "1000", amount0 = "1", amount1 = "100" } = {}) {
+  return {
+    type: ACTIVITY_TYPES.INVEST,
+    timestamp: OPENED_AT,
+    tokenId: "7",
+    liquidity,
+    amounts: [
+      { direction: "out", token: TOKEN1, amount: "200", priceUsdt: 1 },
+      { direction: "deposit", token: TOKEN0, amount: amount0, priceUsdt: 100 },
+      { direction: "deposit", token: TOKEN1, amount: amount1, priceUsdt: 1 },
+    ],
+    fees: [],
+  };
+}
+
+function position(overrides = {}) {
+  return {
+    tokenId: 7n,
+    closed: false,
+    liquidity: 1000n,
+    token0: TOKEN0,
+    token1: TOKEN1,
+    amount0: "0.5",
+    amount1: "150",
+    price0Usdt: 100,
+    price1Usdt: 1,
+    feesUsdt: 5,
+    ...overrides,
+  };
+}
+
+describe("getPositionAnalytics", () => {
+  it("compares the position with holding the deposited tokens", () => {
+    const analytics = getPositionAnalytics(
+      position(),
+      [deposit()],
+      OPENED_AT + YEAR
+    );
+    expect(analytics.depositedValue).toBe(200);
+    expect(analytics.currentValue).toBe(200);
+    expect(analytics.holdValue).toBe(200);
+    expect(analytics.impermanentLoss).toBe(0);
+    expect(analytics.feesEarned).toBe(5);
+    expect(analytics.pnl).toBe(5);
+    expect(analytics.feeApr).toBeCloseTo(2.5);
+  });
+
+  it("reports impermanent loss when prices move", () => {
+    const analytics = getPositionAnalytics(
+      position({ amount0: "0.8", amount1: "80", price0Usdt: 90 }),
+      [deposit()],
+      OPENED_AT + YEAR
+    );
+    expect(analytics.currentValue).toBeCloseTo(152);
+    expect(analytics.holdValue).toBeCloseTo(190);
+    expect(analytics.impermanentLoss).toBeCloseTo(-38);
+    expect(analytics.impermanentLossPercent).toBeCloseTo(-20);
+  });
+
+  it("scales the deposit and APR to the liquidity still in the position", () => {
+    const analytics = getPositionAnalytics(
+      position({ liquidity: 500n, amount0: "0.5", amount1: "50" }),
+      [deposit()],
+      OPENED_AT + YEAR
+    );
+    expect(analytics.depositedValue).toBe(100);
+    expect(analytics.holdValue).toBe(100);
+    expect(analytics.feeApr).toBeCloseTo(5);
+  });
+
+  it("adds fees collected through the app", () => {
+    const collect = {
+      type: ACTIVITY_TYPES.COLLECT,
+      timestamp: OPENED_AT + HOUR,
+      tokenId: "7",
+      amounts: [],
+      fees: [
+        { tokenId: "7", token: TOKEN1, amount: "3", priceUsdt: 1 },
+        { tokenId: "8", token: TOKEN1, amount: "50", priceUsdt: 1 },
+      ],
+    };
+    const analytics = getPositionAnalytics(
+      position(),
+      [collect, deposit()],
+      OPENED_AT + YEAR
+    );
+    expect(analytics.feesEarned).toBe(8);
+  });
+
+  it("leaves APR out for very young positions", () => {
+    const analytics = getPositionAnalytics(
+      position(),
+      [deposit()],
+      OPENED_AT + HOUR / 2
+    );
+    expect(analytics.feeApr).toBeNull();
+  });
+
+  it("returns null values without prices", () => {
+    const analytics = getPositionAnalytics(
+      position({ price0Usdt: null, feesUsdt: null }),
+      [deposit()],
+      OPENED_AT + YEAR
+    );
+    expect(analytics.currentValue).toBeNull();
+    expect(analytics.impermanentLoss).toBeNull();
+    expect(analytics.pnl).toBeNull();
+    expect(analytics.feeApr).toBeNull();
+  });
+
+  it("returns null when the log doesn't cover the position", () => {
+    expect(getPositionAnalytics(position(), [], OPENED_AT)).toBeNull();
+    expect(
+      getPositionAnalytics(
+        position({ liquidity: 2000n }),
+        [deposit()],
+        OPENED_AT
+      )
+    ).toBeNull();
+    expect(
+      getPositionAnalytics(position({ closed: true }), [deposit()], OPENED_AT)
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,52 @@
+import {
+  TickMath,
+  SqrtPriceMath,
+  maxLiquidityForAmounts,
+} from "@pancakeswap/v3-sdk";
+
+export function getPositionAmounts(
+  sqrtPriceX96,
+  tickLower,
+  tickUpper,
+  liquidity,
+  roundUp = false
+) {
+  const sqrtLower = TickMath.getSqrtRatioAtTick(tickLower);
+  const sqrtUpper = TickMath.getSqrtRatioAtTick(tickUpper);
+  const sqrtPrice = BigInt(sqrtPriceX96);
+  const L = BigInt(liquidity);
+
+  if (sqrtPrice <= sqrtLower) {
+    return {
+      amount0: SqrtPriceMath.getAmount0Delta(sqrtLower, sqrtUpper, L, roundUp),
+      amount1: 0n,
+    };
+  }
+  if (sqrtPrice >= sqrtUpper) {
+    return {
+      amount0: 0n,
+      amount1: SqrtPriceMath.getAmount1Delta(sqrtLower, sqrtUpper, L, roundUp),
+    };
+  }
+  return {
+    amount0: SqrtPriceMath.getAmount0Delta(sqrtPrice, sqrtUpper, L, roundUp),
+    amount1: SqrtPriceMath.getAmount1Delta(sqrtLower, sqrtPrice, L, roundUp),
+  };
+}
+
+export function getLiquidityForAmounts(
+  sqrtPriceX96,
+  tickLower,
+  tickUpper,
+  amount0,
+  amount1
+) {
+  return maxLiquidityForAmounts(
+    BigInt(sqrtPriceX96),
+    TickMath.getSqrtRatioAtTick(tickLower),
+    TickMath.getSqrtRatioAtTick(tickUpper),
+    BigInt(amount0),
+    BigInt(amount1),
+    true
+  );
+}
@@ -0,0 +1,200 @@
+import { ethers } from "ethers";
+import { TICK_SPACINGS } from "@pancakeswap/v3-sdk";
+import {
+  getTokens,
+  getPoolAddress,
+  getPoolState,
+  getTokenDecimals,
+  getTokenSymbol,
+  getOwnedPositionIds,
+  getPosition,
+  getUncollectedFees,
+  findAvailablePool,
+} from "./pancakeswap.js";
+import { describeRange, sortTokens, sqrtPriceX96ToPrice } from "./range.js";
+import { getPositionAmounts } from "./positionMath.js";
+import {
+  getFarmPids,
+  getMasterChefAddress,
+  getPendingCake,
+  getStakedPositionIds,
+} from "./farms.js";
+
+export function formatFeeTier(fee) {
+  return `${(Number(fee) / 10000).toString()}%`;
+}
+
+export async function getTokenUsdtPrice(tokenAddress, provider) {
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const usdtAddress = getTokens(chainId).USDT;
+  if (tokenAddress.toLowerCase() === usdtAddress.toLowerCase()) {
+    return 1;
+  }
+
+  const poolInfo = await findAvailablePool(tokenAddress, usdtAddress, provider);
+  if (!poolInfo) {
+    return null;
+  }
+  const [state, decimals, usdtDecimals] = await Promise.all([
+    getPoolState(poolInfo.poolAddress, provider),
+    getTokenDecimals(tokenAddress, provider),
+    getTokenDecimals(usdtAddress, provider),
+  ]);
+  const isToken0 =
+    sortTokens(tokenAddress, usdtAddress)[0].toLowerCase() ===
+    tokenAddress.toLowerCase();
+  return sqrtPriceX96ToPrice(
+    state.sqrtPriceX96,
+    isToken0,
+    decimals,
+    usdtDecimals
+  );
+}
+
+export async function getPositionDetails(tokenId, owner, provider) {
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const position = await getPosition(tokenId, provider);
+  const poolAddress = await getPoolAddress(
+    position.token0,
+    position.token1,
+    position.fee,
+    provider
+  );
+
+  const [decimals0, decimals1, symbol0, symbol1, state, fees, prices] =
+    await Promise.all([
+      getTokenDecimals(position.token0, provider),
+      getTokenDecimals(position.token1, provider),
+      getTokenSymbol(position.token0, provider),
+      getTokenSymbol(position.token1, provider),
+      getPoolState(poolAddress, provider),
+      getUncollectedFees(tokenId, owner, provider),
+      Promise.all([
+        getTokenUsdtPrice(position.token0, provider),
+        getTokenUsdtPrice(position.token1, provider),
+      ]).catch(() => [null, null]),
+    ]);
+
+  const { amount0, amount1 } = getPositionAmounts(
+    state.sqrtPriceX96,
+    position.tickLower,
+    position.tickUpper,
+    position.liquidity
+  );
+
+  // Price the non-USDT side in the other token so USDT pairs read as
+  // "Token A in USDT"; other pairs are priced as token0 in token1.
+  const usdt = getTokens(chainId).USDT?.toLowerCase();
+  const isToken0Base = position.token0.toLowerCase() !== usdt;
+  const baseDecimals = isToken0Base ? decimals0 : decimals1;
+  const quoteDecimals = isToken0Base ? decimals1 : decimals0;
+  const range = describeRange(
+    position.tickLower,
+    position.tickUpper,
+    state.tick,
+    TICK_SPACINGS[position.fee],
+    isToken0Base,
+    baseDecimals,
+    quoteDecimals
+  );
+
+  const fees0 = ethers.formatUnits(fees.amount0, decimals0);
+  const fees1 = ethers.formatUnits(fees.amount1, decimals1);
+  const [price0, price1] = prices;
+  const feesUsdt =
+    price0 === null || price1 === null
+      ? null
+      : Number(fees0) * price0 + Number(fees1) * price1;
+
+  return {
+    ...position,
+    poolAddress,
+    symbol0,
+    symbol1,
+    decimals0: Number(decimals0),
+    decimals1: Number(decimals1),
+    baseSymbol: isToken0Base ? symbol0 : symbol1,
+    quoteSymbol: isToken0Base ? symbol1 : symbol0,
+    isToken0Base,
+    currentTick: state.tick,
+    sqrtPriceX96: state.sqrtPriceX96,
+    range,
+    inRange: range.inRange,
+    closed: position.liquidity === 0n,
+    amount0Raw: amount0,
+    amount1Raw: amount1,
+    fees0Raw: fees.amount0,
+    fees1Raw: fees.amount1,
+    amount0: ethers.formatUnits(amount0, decimals0),
+    amount1: ethers.formatUnits(amount1, decimals1),
+    fees0,
+    fees1,
+    price0Usdt: price0,
+    price1Usdt: price1,
+    feesUsdt,
+  };
+}
+
+// Positions held in the wallet plus those staked in MasterChef V3, with the
+// pool's farm pid (0 when it has no farm) and the CAKE pending on staked ones.
+export async function getWalletPositions(owner, provider) {
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const [tokenIds, stakedIds] = await Promise.all([
+    getOwnedPositionIds(owner, provider),
+    getStakedPositionIds(owner, provider).catch((error) => {
+      console.error("[getWalletPositions] Failed to load staked positions:", {
+        error: error.message,
+      });
+      return [];
+    }),
+  ]);
+  const held = [
+    ...tokenIds.map((tokenId) => ({ tokenId, staked: false })),
+    ...stakedIds.map((tokenId) => ({ tokenId, staked: true })),
+  ];
+  const positions = (
+    await Promise.all(
+      held.map(({ tokenId, staked }) =>
+        // Uncollected fees are simulated as the NFT's holder.
+        getPositionDetails(
+          tokenId,
+          staked ? getMasterChefAddress(chainId) : owner,
+          provider
+        )
+          .then((position) => ({ ...position, staked }))
+          .catch((error) => {
+            console.error("[getWalletPositions] Failed to load position:", {
+              error: error.message,
+              tokenId: tokenId.toString(),
+            });
+            return null;
+          })
+      )
+    )
+  ).filter(Boolean);
+
+  const staked = positions.filter((position) => position.staked);
+  const [pids, pending] = await Promise.all([
+    getFarmPids(
+      positions.map((position) => position.poolAddress),
+      provider
+    ).catch(() => positions.map(() => 0)),
+    getPendingCake(
+      staked.map((position) => position.tokenId),
+      provider
+    ).catch(() => staked.map(() => 0n)),
+  ]);
+  return positions
+    .map((position, i) => {
+      const pendingCake = position.staked
+        ? pending[staked.indexOf(position)]
+        : 0n;
+      return {
+        ...position,
+        farmPid: pids[i],
+        pendingCakeRaw: pendingCake,
+        pendingCake: ethers.formatEther(pendingCake),
+      };
+    })
+    .sort((a, b) => Number(BigInt(b.tokenId) - BigInt(a.tokenId)));
+}
@@ -0,0 +1,176 @@
+import { nearestUsableTick, TickMath } from "@pancakeswap/v3-sdk";
+
+export const RANGE_PRESETS = [
+  { id: "full", label: "Full range", percent: null },
+  { id: "20", label: "±20%", percent: 20 },
+  { id: "5", label: "±5%", percent: 5 },
+];
+
+const Q96 = 2 ** 96;
+
+export function sortTokens(tokenA, tokenB) {
+  return tokenA.toLowerCase() < tokenB.toLowerCase()
+    ? [tokenA, tokenB]
+    : [tokenB, tokenA];
+}
+
+export function getUsableTickBounds(tickSpacing) {
+  return {
+    minTick: nearestUsableTick(TickMath.MIN_TICK, tickSpacing),
+    maxTick: nearestUsableTick(TickMath.MAX_TICK, tickSpacing),
+  };
+}
+
+// Prices are always Token A quoted in Token B (e.g. CAKE in USDT), in
+// human units, regardless of which side the pool sorts as token0.
+export function sqrtPriceX96ToPrice(
+  sqrtPriceX96,
+  isToken0A,
+  decimalsA,
+  decimalsB
+) {
+  const ratio = Number(sqrtPriceX96) / Q96;
+  const raw = ratio * ratio;
+  return rawToPrice(raw, isToken0A, decimalsA, decimalsB);
+}
+
+export function tickToPrice(tick, isToken0A, decimalsA, decimalsB) {
+  return rawToPrice(1.0001 ** tick, isToken0A, decimalsA, decimalsB);
+}
+
+export function priceToTick(price, isToken0A, decimalsA, decimalsB) {
+  const scale = 10 ** (Number(decimalsB) - Number(decimalsA));
+  const raw = isToken0A ? price * scale : 1 / (price * scale);
+  return Math.floor(Math.log(raw) / Math.log(1.0001));
+}
+
+function rawToPrice(raw, isToken0A, decimalsA, decimalsB) {
+  const scale = 10 ** (Number(decimalsA) - Number(decimalsB));
+  return isToken0A ? raw * scale : (1 / raw) * scale;
+}
+
+export function getPresetRange(currentPrice, presetId) {
+  const preset = RANGE_PRESETS.find((p) => p.id === presetId);
+  if (!preset || preset.percent === null) {
+    return { fullRange: true };
+  }
+  return {
+    minPrice: currentPrice * (1 - preset.percent / 100),
+    maxPrice: currentPrice * (1 + preset.percent / 100),
+  };
+}
+
+export function getRangeTicks(
+  range,
+  tickSpacing,
+  isToken0A,
+  decimalsA,
+  decimalsB
+) {
+  const { minTick, maxTick } = getUsableTickBounds(tickSpacing);
+  if (!range || range.fullRange) {
+    return { tickLower: minTick, tickUpper: maxTick };
+  }
+
+  const minPrice = Number(range.minPrice);
+  const maxPrice = Number(range.maxPrice);
+  if (!(minPrice > 0) || !(maxPrice > minPrice)) {
+    throw new Error("Invalid price range. Max price must be above min price.");
+  }
+
+  // Token A priced in Token B moves inversely to the pool tick when Token A
+  // is token1, so the bounds swap sides.
+  const [tickA, tickB] = [minPrice, maxPrice].map((price) =>
+    Math.min(
+      Math.max(
+        priceToTick(price, isToken0A, decimalsA, decimalsB),
+        TickMath.MIN_TICK
+      ),
+      TickMath.MAX_TICK
+    )
+  );
+  let tickLower = nearestUsableTick(Math.min(tickA, tickB), tickSpacing);
+  let tickUpper = nearestUsableTick(Math.max(tickA, tickB), tickSpacing);
+
+  tickLower = Math.max(tickLower, minTick);
+  tickUpper = Math.min(tickUpper, maxTick);
+  // Widen to one spacing, shifting down when both bounds sit on maxTick.
+  if (tickLower >= tickUpper) {
+    tickLower = Math.min(tickLower, maxTick - tickSpacing);
+    tickUpper = tickLower + tickSpacing;
+  }
+  return { tickLower, tickUpper };
+}
+
+// A range of `width` ticks centered on `currentTick`, e.g. to re-center an
+// out-of-range position without changing how wide it is.
+export function getCenteredTicks(currentTick, width, tickSpacing) {
+  const { minTick, maxTick } = getUsableTickBounds(tickSpacing);
+  const start = Math.min(
+    Math.max(currentTick - Math.floor(width / 2), minTick),
+    maxTick - width
+  );
+  const tickLower = Math.max(nearestUsableTick(start, tickSpacing), minTick);
+  return { tickLower, tickUpper: Math.min(tickLower + width, maxTick) };
+}
+
+export const RANGE_ORDER_SIDES = {
+  BUY: "buy",
+  SELL: "sell",
+};
+
+// Which way a single-sided range trades. Entirely below the current price it
+// holds only Token B and buys Token A as the price falls through it; entirely
+// above, it holds only Token A and sells it as the price rises. Null when the
+// range contains the current tick and would need both tokens.
+export function getRangeOrderSide(
+  tickLower,
+  tickUpper,
+  currentTick,
+  isToken0A
+) {
+  // Below tickLower a position is all token0, at or above tickUpper all token1.
+  if (currentTick < tickLower) {
+    return isToken0A ? RANGE_ORDER_SIDES.SELL : RANGE_ORDER_SIDES.BUY;
+  }
+  if (currentTick >= tickUpper) {
+    return isToken0A ? RANGE_ORDER_SIDES.BUY : RANGE_ORDER_SIDES.SELL;
+  }
+  return null;
+}
+
+export function describeRange(
+  tickLower,
+  tickUpper,
+  currentTick,
+  tickSpacing,
+  isToken0A,
+  decimalsA,
+  decimalsB
+) {
+  const { minTick, maxTick } = getUsableTickBounds(tickSpacing);
+  const prices = [
+    tickToPrice(tickLower, isToken0A, decimalsA, decimalsB),
+    tickToPrice(tickUpper, isToken0A, decimalsA, decimalsB),
+  ];
+  const currentPrice = tickToPrice(
+    currentTick,
+    isToken0A,
+    decimalsA,
+    decimalsB
+  );
+  const minPrice = Math.min(...prices);
+  const maxPrice = Math.max(...prices);
+
+  return {
+    tickLower,
+    tickUpper,
+    fullRange: tickLower <= minTick && tickUpper >= maxTick,
+    minPrice,
+    maxPrice,
+    currentPrice,
+    minPercent: (minPrice / currentPrice - 1) * 100,
+    maxPercent: (maxPrice / currentPrice - 1) * 100,
+    inRange: currentTick >= tickLower && currentTick < tickUpper,
+  };
+}
@@ -0,0 +1,192 @@
+import { describe, expect, it } from "vitest";
+import { TICK_SPACINGS, FeeAmount } from "@pancakeswap/v3-sdk";
+import {
+  RANGE_ORDER_SIDES,
+  describeRange,
+  getCenteredTicks,
+  getPresetRange,
+  getRangeOrderSide,
+  getRangeTicks,
+  getUsableTickBounds,
+  priceToTick,
+  sortTokens,
+  sqrtPriceX96ToPrice,
+  tickToPrice,
+} from "./range.js";
+
+const SPACING = TICK_SPACINGS[FeeAmount.MEDIUM];
+const CAKE = "0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82";
+const USDT = "0x55d398326f99059fF775485246999027B3197955";
+
+describe("sortTokens", () => {
+  it("orders addresses like the pool does, ignoring case", () => {
+    expect(sortTokens(USDT, CAKE)).toEqual([CAKE, USDT]);
+    expect(sortTokens(CAKE.toLowerCase(), USDT)).toEqual([
+      CAKE.toLowerCase(),
+      USDT,
+    ]);
+  });
+});
+
+describe("tick and price conversion", () => {
+  it("prices tick 0 at 1 for tokens with equal decimals", () => {
+    expect(tickToPrice(0, true, 18, 18)).toBe(1);
+    expect(tickToPrice(0, false, 18, 18)).toBe(1);
+  });
+
+  it("inverts the price when Token A is token1", () => {
+    const price0 = tickToPrice(1000, true, 18, 18);
+    const price1 = tickToPrice(1000, false, 18, 18);
+    expect(price0 * price1).toBeCloseTo(1, 10);
+    expect(price0).toBeGreaterThan(1);
+  });
+
+  it("scales by the decimals difference", () => {
+    expect(tickToPrice(0, true, 18, 6)).toBeCloseTo(1e12, 0);
+  });
+
+  it("round-trips priceToTick within one tick", () => {
+    for (const isToken0A of [true, false]) {
+      for (const price of [0.0005, 2.5, 1234.5]) {
+        const tick = priceToTick(price, isToken0A, 18, 6);
+        const back = tickToPrice(tick, isToken0A, 18, 6);
+        expect(Math.abs(back / price - 1)).toBeLessThan(0.00011);
+      }
+    }
+  });
+
+  it("reads the price from sqrtPriceX96", () => {
+    const sqrtPriceX96 = 2n ** 96n * 2n;
+    expect(sqrtPriceX96ToPrice(sqrtPriceX96, true, 18, 18)).toBeCloseTo(4);
+    expect(sqrtPriceX96ToPrice(sqrtPriceX96, false, 18, 18)).toBeCloseTo(0.25);
+  });
+});
+
+describe("getPresetRange", () => {
+  it("returns full range for the full preset", () => {
+    expect(getPresetRange(10, "full")).toEqual({ fullRange: true });
+  });
+
+  it("spreads a percentage around the current price", () => {
+    const { minPrice, maxPrice } = getPresetRange(10, "20");
+    expect(minPrice).toBeCloseTo(8);
+    expect(maxPrice).toBeCloseTo(12);
+  });
+});
+
+describe("getRangeTicks", () => {
+  const { minTick, maxTick } = getUsableTickBounds(SPACING);
+
+  it("uses the usable bounds for a full range", () => {
+    expect(getRangeTicks({ fullRange: true }, SPACING, true, 18, 18)).toEqual({
+      tickLower: minTick,
+      tickUpper: maxTick,
+    });
+  });
+
+  it("snaps custom bounds to the tick spacing", () => {
+    for (const isToken0A of [true, false]) {
+      const { tickLower, tickUpper } = getRangeTicks(
+        { minPrice: "0.5", maxPrice: "2" },
+        SPACING,
+        isToken0A,
+        18,
+        18
+      );
+      expect(Math.abs(tickLower % SPACING)).toBe(0);
+      expect(Math.abs(tickUpper % SPACING)).toBe(0);
+      expect(tickLower).toBeLessThan(0);
+      expect(tickUpper).toBeGreaterThan(0);
+    }
+  });
+
+  it("widens a range narrower than one spacing", () => {
+    const { tickLower, tickUpper } = getRangeTicks(
+      { minPrice: "1", maxPrice: "1.0001" },
+      SPACING,
+      true,
+      18,
+      18
+    );
+    expect(tickUpper - tickLower).toBe(SPACING);
+  });
+
+  it("keeps ranges beyond the price bounds inside the usable ticks", () => {
+    for (const isToken0A of [true, false]) {
+      for (const [minPrice, maxPrice] of [
+        ["1e-300", "1e-299"],
+        ["1e299", "1e300"],
+      ]) {
+        const { tickLower, tickUpper } = getRangeTicks(
+          { minPrice, maxPrice },
+          SPACING,
+          isToken0A,
+          18,
+          18
+        );
+        expect(tickLower).toBeGreaterThanOrEqual(minTick);
+        expect(tickUpper).toBeLessThanOrEqual(maxTick);
+        expect(tickUpper - tickLower).toBe(SPACING);
+      }
+    }
+  });
+
+  it("rejects an inverted range", () => {
+    expect(() =>
+      getRangeTicks({ minPrice: "2", maxPrice: "1" }, SPACING, true, 18, 18)
+    ).toThrow("Invalid price range");
+  });
+});
+
+describe("getCenteredTicks", () => {
+  it("keeps the width and centers on the current tick", () => {
+    const { tickLower, tickUpper } = getCenteredTicks(1234, 1000, SPACING);
+    expect(tickUpper - tickLower).toBe(1000);
+    expect(Math.abs(tickLower % SPACING)).toBe(0);
+    expect(tickLower).toBeLessThanOrEqual(1234);
+    expect(tickUpper).toBeGreaterThan(1234);
+  });
+
+  it("stays inside the usable bounds near the extremes", () => {
+    const { minTick, maxTick } = getUsableTickBounds(SPACING);
+    const low = getCenteredTicks(minTick + 10, 1000, SPACING);
+    const high = getCenteredTicks(maxTick - 10, 1000, SPACING);
+    expect(low.tickLower).toBe(minTick);
+    expect(high.tickUpper).toBeLessThanOrEqual(maxTick);
+    expect(high.tickUpper - high.tickLower).toBe(1000);
+  });
+});
+
+describe("getRangeOrderSide", () => {
+  it("sells Token A above the price and buys it below", () => {
+    expect(getRangeOrderSide(100, 200, 50, true)).toBe(RANGE_ORDER_SIDES.SELL);
+    expect(getRangeOrderSide(100, 200, 250, true)).toBe(RANGE_ORDER_SIDES.BUY);
+  });
+
+  it("flips the side when Token A is token1", () => {
+    expect(getRangeOrderSide(100, 200, 50, false)).toBe(RANGE_ORDER_SIDES.BUY);
+    expect(getRangeOrderSide(100, 200, 200, false)).toBe(
+      RANGE_ORDER_SIDES.SELL
+    );
+  });
+
+  it("returns null for a range containing the current tick", () => {
+    expect(getRangeOrderSide(100, 200, 100, true)).toBeNull();
+    expect(getRangeOrderSide(100, 200, 199, false)).toBeNull();
+  });
+});
+
+describe("describeRange", () => {
+  it("flags in-range and full-range positions", () => {
+    const { minTick, maxTick } = getUsableTickBounds(SPACING);
+    const full = describeRange(minTick, maxTick, 0, SPACING, true, 18, 18);
+    expect(full.fullRange).toBe(true);
+    expect(full.inRange).toBe(true);
+
+    const above = describeRange(600, 1200, 0, SPACING, true, 18, 18);
+    expect(above.fullRange).toBe(false);
+    expect(above.inRange).toBe(false);
+    expect(above.minPercent).toBeGreaterThan(0);
+    expect(above.minPrice).toBeLessThan(above.maxPrice);
+  });
+});
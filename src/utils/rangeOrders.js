@@ -0,0 +1,57 @@
+const STORAGE_PREFIX = "pancakeswap-lp:range-orders";
+
+export const RANGE_ORDER_STATUS = {
+  OPEN: "open",
+  FILLING: "filling",
+  FILLED: "filled",
+};
+
+function getStorageKey(chainId, account) {
+  return `${STORAGE_PREFIX}:${chainId}:${account.toLowerCase()}`;
+}
+
+// Range orders minted from this browser, keyed by token ID.
+export function loadRangeOrders(chainId, account) {
+  try {
+    const raw = localStorage.getItem(getStorageKey(chainId, account));
+    return raw ? JSON.parse(raw) : {};
+  } catch (error) {
+    console.error("[loadRangeOrders] Error:", {
+      error: error.message,
+      chainId,
+      account,
+    });
+    return {};
+  }
+}
+
+export function saveRangeOrder(chainId, account, order) {
+  try {
+    localStorage.setItem(
+      getStorageKey(chainId, account),
+      JSON.stringify({
+        ...loadRangeOrders(chainId, account),
+        [order.tokenId]: order,
+      })
+    );
+  } catch (error) {
+    console.error("[saveRangeOrder] Error:", {
+      error: error.message,
+      tokenId: order.tokenId,
+    });
+  }
+}
+
+// An order is open while the price hasn't reached its range, filling while
+// the price is inside it and filled once the price has crossed the whole
+// range, leaving only the token it bought.
+export function getRangeOrderStatus(order, currentTick) {
+  const { tickLower, tickUpper, startsInToken0 } = order;
+  if (currentTick >= tickLower && currentTick < tickUpper) {
+    return RANGE_ORDER_STATUS.FILLING;
+  }
+  const crossedUp = currentTick >= tickUpper;
+  return crossedUp === startsInToken0
+    ? RANGE_ORDER_STATUS.FILLED
+    : RANGE_ORDER_STATUS.OPEN;
+}
@@ -0,0 +1,143 @@
+import { ethers } from "ethers";
+import { FeeAmount } from "@pancakeswap/v3-sdk";
+import {
+  getTokens,
+  getPoolAddresses,
+  quoteExactInputPath,
+  executeSwap,
+  executeSwapPath,
+} from "./pancakeswap.js";
+
+const ROUTE_FEES = [
+  FeeAmount.LOWEST,
+  FeeAmount.LOW,
+  FeeAmount.MEDIUM,
+  FeeAmount.HIGH,
+];
+
+export function encodePath(tokens, fees) {
+  const types = [];
+  const values = [];
+  tokens.forEach((token, i) => {
+    types.push("address");
+    values.push(token);
+    if (i < fees.length) {
+      types.push("uint24");
+      values.push(fees[i]);
+    }
+  });
+  return ethers.solidityPacked(types, values);
+}
+
+async function getPoolFees(tokenA, tokenB, provider) {
+  const poolAddresses = await getPoolAddresses(
+    tokenA,
+    tokenB,
+    ROUTE_FEES,
+    provider
+  );
+  return ROUTE_FEES.filter((_, i) => poolAddresses[i] !== ethers.ZeroAddress);
+}
+
+export async function getCandidateRoutes(tokenIn, tokenOut, provider) {
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const endpoints = [tokenIn.toLowerCase(), tokenOut.toLowerCase()];
+  const bases = Object.values(getTokens(chainId)).filter(
+    (base) => !endpoints.includes(base.toLowerCase())
+  );
+
+  const routes = (await getPoolFees(tokenIn, tokenOut, provider)).map(
+    (fee) => ({ tokens: [tokenIn, tokenOut], fees: [fee] })
+  );
+  const hops = await Promise.all(
+    bases.map(async (base) => {
+      const [feesIn, feesOut] = await Promise.all([
+        getPoolFees(tokenIn, base, provider),
+        getPoolFees(base, tokenOut, provider),
+      ]);
+      return feesIn.flatMap((feeIn) =>
+        feesOut.map((feeOut) => ({
+          tokens: [tokenIn, base, tokenOut],
+          fees: [feeIn, feeOut],
+        }))
+      );
+    })
+  );
+  return routes.concat(hops.flat());
+}
+
+export async function quoteRoute(route, amountIn, provider) {
+  const path = encodePath(route.tokens, route.fees);
+  const quote = await quoteExactInputPath(path, amountIn, provider);
+  return { ...route, path, amountIn, ...quote };
+}
+
+export async function findBestRoute(tokenIn, tokenOut, amountIn, provider) {
+  const routes = await getCandidateRoutes(tokenIn, tokenOut, provider);
+  if (routes.length === 0) {
+    console.error("[findBestRoute] No route found:", { tokenIn, tokenOut });
+    throw new Error(
+      "Trading pair not available. Please try a different token."
+    );
+  }
+
+  const quotes = await Promise.all(
+    routes.map((route) =>
+      quoteRoute(route, amountIn, provider).catch(() => null)
+    )
+  );
+  const best = quotes
+    .filter(Boolean)
+    .reduce(
+      (best, quote) =>
+        !best || quote.amountOut > best.amountOut ? quote : best,
+      null
+    );
+  if (!best) {
+    throw new Error(
+      "Unable to get price quote. Try a smaller amount or different token."
+    );
+  }
+  return best;
+}
+
+export async function executeRoute(
+  route,
+  amountIn,
+  amountOutMin,
+  signer,
+  options = {}
+) {
+  if (route.fees.length === 1) {
+    return await executeSwap(
+      route.tokens[0],
+      route.tokens[1],
+      amountIn,
+      amountOutMin,
+      route.fees[0],
+      signer,
+      options
+    );
+  }
+  return await executeSwapPath(
+    route.path || encodePath(route.tokens, route.fees),
+    amountIn,
+    amountOutMin,
+    signer,
+    options
+  );
+}
+
+export function formatRoute(route, chainId, labels = {}) {
+  const names = { ...labels };
+  for (const [symbol, address] of Object.entries(getTokens(chainId))) {
+    names[address.toLowerCase()] ??= symbol;
+  }
+  return route.tokens
+    .map(
+      (token) =>
+        names[token.toLowerCase()] ||
+        `${token.slice(0, 6)}...${token.slice(-4)}`
+    )
+    .join(" → ");
+}
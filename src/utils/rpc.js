@@ -0,0 +1,187 @@
+import { ethers } from "ethers";
+import { CONTRACTS } from "../config/contracts.js";
+import { MULTICALL3_ABI } from "./abis.js";
+import { getChain } from "./network.js";
+
+const MAX_RETRIES = 4;
+const BASE_RETRY_DELAY_MS = 250;
+const STALL_TIMEOUT_MS = 1500;
+const MULTICALL_BATCH_SIZE = 500;
+const RATE_LIMIT_CODES = [429, -32005, -32029, -32090];
+
+const readCache = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isRateLimitError(error) {
+  if (!error) return false;
+  const code = error.error?.code ?? error.code;
+  const status = error.info?.responseStatus ?? "";
+  return (
+    RATE_LIMIT_CODES.includes(code) ||
+    status.startsWith("429") ||
+    /rate limit|too many requests|limit exceeded/i.test(
+      error.error?.message ?? error.message ?? ""
+    )
+  );
+}
+
+function isRetryable(error) {
+  return (
+    isRateLimitError(error) ||
+    error.code === "TIMEOUT" ||
+    error.code === "NETWORK_ERROR" ||
+    (error.code === "SERVER_ERROR" &&
+      !error.info?.responseStatus?.startsWith("4"))
+  );
+}
+
+function backoff(attempt) {
+  const delay = BASE_RETRY_DELAY_MS * 2 ** attempt;
+  return sleep(delay + Math.random() * delay);
+}
+
+// Retries `fn` with exponential backoff and jitter while it fails with a rate
+// limit, timeout or transient server error.
+export async function withRetry(fn, retries = MAX_RETRIES) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+      await backoff(attempt);
+    }
+  }
+}
+
+// JSON-RPC provider that retries whole requests when the endpoint rate limits
+// or a batched response carries a rate-limit error.
+class RetryingJsonRpcProvider extends ethers.JsonRpcProvider {
+  async _send(payload) {
+    for (let attempt = 0; ; attempt++) {
+      const results = await withRetry(() => super._send(payload));
+      const limited = results.some((result) => isRateLimitError(result.error));
+      if (!limited || attempt >= MAX_RETRIES) return results;
+      await backoff(attempt);
+    }
+  }
+}
+
+// Endpoints from VITE_RPC_URLS_<chainId> (comma separated) first, then the
+// chain's public RPCs from the config.
+export function getRpcUrls(chainId) {
+  const configured = (import.meta.env[`VITE_RPC_URLS_${chainId}`] ?? "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean);
+  return [...new Set([...configured, ...getChain(chainId).rpcUrls])];
+}
+
+async function getAlchemyProvider(chainId) {
+  const url = import.meta.env.VITE_ALCHEMY_RPC_URL;
+  if (!url) return null;
+  const provider = new RetryingJsonRpcProvider(url);
+  try {
+    const network = await provider.getNetwork();
+    if (Number(network.chainId) === chainId) return provider;
+  } catch (error) {
+    console.error("[getAlchemyProvider] Error:", { error: error.message });
+  }
+  provider.destroy();
+  return null;
+}
+
+// Read-only provider for `chainId` that spreads reads over the configured
+// endpoints, falling back to the next one (and finally to the wallet's own
+// provider) when an endpoint stalls or fails. VITE_RPC_QUORUM sets how many
+// endpoints must agree on each result.
+export async function createReadProvider(chainId, walletProvider) {
+  const network = ethers.Network.from(chainId);
+  const providers = getRpcUrls(chainId).map(
+    (url) =>
+      new RetryingJsonRpcProvider(url, network, { staticNetwork: network })
+  );
+  const alchemy = await getAlchemyProvider(chainId);
+  if (alchemy) providers.unshift(alchemy);
+  if (walletProvider) providers.push(walletProvider);
+
+  const quorum = Math.min(
+    Math.max(Number(import.meta.env.VITE_RPC_QUORUM) || 1, 1),
+    providers.length
+  );
+  return new ethers.FallbackProvider(
+    providers.map((provider, i) => ({
+      provider,
+      priority: i + 1,
+      weight: 1,
+      stallTimeout: STALL_TIMEOUT_MS,
+    })),
+    network,
+    { quorum }
+  );
+}
+
+// Caches the promise for immutable on-chain data such as token decimals or
+// pool addresses. A rejected load, or a value `keep` refuses, is not cached.
+export function cachedRead(key, load, keep = () => true) {
+  if (!readCache.has(key)) {
+    const promise = load().then(
+      (value) => {
+        if (!keep(value)) readCache.delete(key);
+        return value;
+      },
+      (error) => {
+        readCache.delete(key);
+        throw error;
+      }
+    );
+    readCache.set(key, promise);
+  }
+  return readCache.get(key);
+}
+
+// The pending or settled read cached under `key`, if any.
+export function getCachedRead(key) {
+  return readCache.get(key);
+}
+
+// Runs view calls through Multicall3 in as few eth_calls as possible. Each
+// call is `{ contract, method, args }`; results come back in order, with
+// `null` for calls that reverted or returned nothing.
+export async function multicall(calls, provider) {
+  if (calls.length === 0) return [];
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const multicall3 = new ethers.Contract(
+    CONTRACTS[chainId].MULTICALL3,
+    MULTICALL3_ABI,
+    provider
+  );
+
+  const results = [];
+  for (let i = 0; i < calls.length; i += MULTICALL_BATCH_SIZE) {
+    const batch = calls.slice(i, i + MULTICALL_BATCH_SIZE);
+    const responses = await multicall3.aggregate3.staticCall(
+      batch.map(({ contract, method, args = [] }) => ({
+        target: contract.target,
+        allowFailure: true,
+        callData: contract.interface.encodeFunctionData(method, args),
+      }))
+    );
+    responses.forEach(({ success, returnData }, j) => {
+      // A call to an address without code "succeeds" with no return data.
+      if (!success || returnData === "0x") {
+        results.push(null);
+        return;
+      }
+      const { contract, method } = batch[j];
+      const decoded = contract.interface.decodeFunctionResult(
+        method,
+        returnData
+      );
+      results.push(decoded.length === 1 ? decoded[0] : decoded);
+    });
+  }
+  return results;
+}
@@ -0,0 +1,88 @@
+import { ethers } from "ethers";
+
+const STORAGE_KEY = "pancakeswap-lp:settings";
+
+export const APPROVAL_POLICIES = {
+  EXACT: "exact",
+  UNLIMITED: "unlimited",
+};
+
+export const DEFAULT_SETTINGS = {
+  slippage: 0.5,
+  deadlineMinutes: 20,
+  priceImpactWarning: 2,
+  priceImpactLimit: 10,
+  approvalPolicy: APPROVAL_POLICIES.EXACT,
+  usePermit: true,
+};
+
+export const SETTING_LIMITS = {
+  slippage: { min: 0.01, max: 50 },
+  deadlineMinutes: { min: 1, max: 180 },
+  priceImpactWarning: { min: 0.1, max: 50 },
+  priceImpactLimit: { min: 0.1, max: 100 },
+};
+
+export function getSettings() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return { ...DEFAULT_SETTINGS, ...(raw ? JSON.parse(raw) : {}) };
+  } catch (error) {
+    console.error("[getSettings] Error:", { error: error.message });
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+export function saveSettings(changes) {
+  const settings = { ...getSettings(), ...changes };
+  for (const [key, { min, max }] of Object.entries(SETTING_LIMITS)) {
+    const value = Number(settings[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${key} must be between ${min} and ${max}.`);
+    }
+    settings[key] = value;
+  }
+  if (settings.priceImpactWarning > settings.priceImpactLimit) {
+    throw new Error("The price impact warning must not exceed the limit.");
+  }
+  if (!Object.values(APPROVAL_POLICIES).includes(settings.approvalPolicy)) {
+    throw new Error("Unknown approval policy.");
+  }
+  settings.usePermit = Boolean(settings.usePermit);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  return settings;
+}
+
+export function getDeadline() {
+  return Math.floor(Date.now() / 1000) + getSettings().deadlineMinutes * 60;
+}
+
+// Amount to approve or permit when `amount` is what the next call needs.
+export function getApprovalAmount(amount, settings = getSettings()) {
+  return settings.approvalPolicy === APPROVAL_POLICIES.UNLIMITED
+    ? ethers.MaxUint256
+    : BigInt(amount);
+}
+
+export function applySlippage(amount, slippage = getSettings().slippage) {
+  const bps = BigInt(Math.round(slippage * 100));
+  return (BigInt(amount) * (10000n - bps)) / 10000n;
+}
+
+export function checkPriceImpact(priceImpact, settings = getSettings()) {
+  if (priceImpact > settings.priceImpactLimit) {
+    return {
+      level: "blocked",
+      message: `Price impact of ${priceImpact.toFixed(2)}% is above the ${
+        settings.priceImpactLimit
+      }% limit. Try a smaller amount.`,
+    };
+  }
+  if (priceImpact > settings.priceImpactWarning) {
+    return {
+      level: "warning",
+      message: `High price impact: ${priceImpact.toFixed(2)}%.`,
+    };
+  }
+  return { level: "ok", message: null };
+}
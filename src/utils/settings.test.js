@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { ethers } from "ethers";
+import {
+  APPROVAL_POLICIES,
+  DEFAULT_SETTINGS,
+  applySlippage,
+  checkPriceImpact,
+  getApprovalAmount,
+  getDeadline,
+  getSettings,
+  saveSettings,
+} from "./settings.js";
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+beforeEach(() => {
+  vi.stubGlobal("localStorage", createStorage());
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe("getSettings", () => {
+  it("falls back to the defaults", () => {
+    expect(getSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it("ignores unreadable stored settings", () => {
+    localStorage.setItem("pancakeswap-lp:settings", "{not json");
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    expect(getSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+});
+
+describe("saveSettings", () => {
+  it("stores valid changes and coerces numbers", () => {
+    const saved = saveSettings({ slippage: "1.5", usePermit: 0 });
+    expect(saved.slippage).toBe(1.5);
+    expect(saved.usePermit).toBe(false);
+    expect(getSettings().slippage).toBe(1.5);
+  });
+
+  it.each([
+    [{ slippage: 0 }, "slippage must be between 0.01 and 50."],
+    [{ slippage: "abc" }, "slippage must be between 0.01 and 50."],
+    [{ deadlineMinutes: 500 }, "deadlineMinutes must be between 1 and 180."],
+    [
+      { priceImpactWarning: 20, priceImpactLimit: 10 },
+      "The price impact warning must not exceed the limit.",
+    ],
+    [{ approvalPolicy: "forever" }, "Unknown approval policy."],
+  ])("rejects %j", (changes, message) => {
+    expect(() => saveSettings(changes)).toThrow(message);
+    expect(getSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+});
+
+describe("applySlippage", () => {
+  it("takes the slippage off in basis points", () => {
+    expect(applySlippage(10000n, 0.5)).toBe(9950n);
+    expect(applySlippage("1000000", 1)).toBe(990000n);
+  });
+
+  it("uses the saved slippage by default", () => {
+    saveSettings({ slippage: 2 });
+    expect(applySlippage(100n)).toBe(98n);
+  });
+});
+
+describe("getApprovalAmount", () => {
+  it("approves the exact amount by default", () => {
+    expect(getApprovalAmount(123n)).toBe(123n);
+  });
+
+  it("approves the maximum under the unlimited policy", () => {
+    expect(
+      getApprovalAmount(123n, { approvalPolicy: APPROVAL_POLICIES.UNLIMITED })
+    ).toBe(ethers.MaxUint256);
+  });
+});
+
+describe("getDeadline", () => {
+  it("adds the saved deadline to the current time", () => {
+    vi.spyOn(Date, "now").mockReturnValue(1000000);
+    saveSettings({ deadlineMinutes: 5 });
+    expect(getDeadline()).toBe(1000 + 300);
+  });
+});
+
+describe("checkPriceImpact", () => {
+  const settings = { priceImpactWarning: 2, priceImpactLimit: 10 };
+
+  it("passes a small impact", () => {
+    expect(checkPriceImpact(1, settings)).toEqual({
+      level: "ok",
+      message: null,
+    });
+  });
+
+  it("warns above the warning threshold", () => {
+    expect(checkPriceImpact(3, settings).level).toBe("warning");
+  });
+
+  it("blocks above the limit", () => {
+    const check = checkPriceImpact(12.345, settings);
+    expect(check.level).toBe("blocked");
+    expect(check.message).toContain("12.35%");
+  });
+});
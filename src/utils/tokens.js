@@ -0,0 +1,184 @@
+import { ethers } from "ethers";
+import { TOKENS } from "../config/contracts.js";
+import { ERC20_ABI } from "./abis.js";
+
+const METADATA_KEY = "pancakeswap-lp:token-metadata";
+const LISTS_KEY = "pancakeswap-lp:token-lists";
+
+export const TOKEN_STATUS = {
+  KNOWN: "known",
+  LISTED: "listed",
+  UNLISTED: "unlisted",
+};
+
+function readStorage(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.error("[readStorage] Error:", { error: error.message, key });
+    return fallback;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.error("[writeStorage] Error:", { error: error.message, key });
+    return false;
+  }
+}
+
+function getMetadataKey(chainId, address) {
+  return `${chainId}:${address.toLowerCase()}`;
+}
+
+export function getCachedTokenMetadata(chainId, address) {
+  return (
+    readStorage(METADATA_KEY, {})[getMetadataKey(chainId, address)] ?? null
+  );
+}
+
+// Symbol, name and decimals read from the contract, cached per chain. Throws
+// when the address has no code or does not answer the ERC-20 calls.
+export async function getTokenMetadata(address, provider) {
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const cached = getCachedTokenMetadata(chainId, address);
+  if (cached) return cached;
+
+  const code = await provider.getCode(address);
+  if (code === "0x") {
+    throw new Error(
+      "No contract found at this address on the current network."
+    );
+  }
+
+  const token = new ethers.Contract(address, ERC20_ABI, provider);
+  let symbol;
+  let decimals;
+  try {
+    [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+  } catch (error) {
+    console.error("[getTokenMetadata] Error:", {
+      error: error.message,
+      address,
+      chainId,
+    });
+    throw new Error("This contract does not look like an ERC-20 token.");
+  }
+  const name = await token.name().catch(() => symbol);
+
+  const metadata = {
+    address: ethers.getAddress(address),
+    chainId,
+    symbol,
+    name,
+    decimals: Number(decimals),
+  };
+  writeStorage(METADATA_KEY, {
+    ...readStorage(METADATA_KEY, {}),
+    [getMetadataKey(chainId, address)]: metadata,
+  });
+  return metadata;
+}
+
+function isValidListToken(token) {
+  return (
+    token &&
+    Number.isInteger(token.chainId) &&
+    typeof token.address === "string" &&
+    ethers.isAddress(token.address) &&
+    typeof token.symbol === "string" &&
+    Number.isInteger(token.decimals) &&
+    token.decimals >= 0 &&
+    token.decimals <= 255
+  );
+}
+
+export function getTokenLists() {
+  return readStorage(LISTS_KEY, []);
+}
+
+// Stores a token list in the standard Uniswap token list format, replacing
+// any previously imported list with the same name.
+export function importTokenList(list, source) {
+  if (!list || typeof list.name !== "string" || !Array.isArray(list.tokens)) {
+    throw new Error(
+      "Not a valid token list: expected a name and a tokens array."
+    );
+  }
+  const tokens = list.tokens.filter(isValidListToken).map((token) => ({
+    chainId: token.chainId,
+    address: ethers.getAddress(token.address),
+    symbol: token.symbol,
+    name: token.name ?? token.symbol,
+    decimals: token.decimals,
+  }));
+  if (tokens.length === 0) {
+    throw new Error("The token list does not contain any valid tokens.");
+  }
+
+  const lists = getTokenLists().filter(
+    (existing) => existing.name !== list.name
+  );
+  lists.push({ name: list.name, source, tokens, importedAt: Date.now() });
+  if (!writeStorage(LISTS_KEY, lists)) {
+    throw new Error("The token list is too large to store in this browser.");
+  }
+  return { name: list.name, count: tokens.length };
+}
+
+export async function fetchTokenList(url) {
+  let list;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    list = await response.json();
+  } catch (error) {
+    console.error("[fetchTokenList] Error:", { error: error.message, url });
+    throw new Error(
+      "Failed to load the token list. Check the URL and try again."
+    );
+  }
+  return importTokenList(list, url);
+}
+
+export function removeTokenList(name) {
+  writeStorage(
+    LISTS_KEY,
+    getTokenLists().filter((list) => list.name !== name)
+  );
+}
+
+// Built-in tokens first, then tokens from imported lists for this chain.
+export function getListedTokens(chainId) {
+  const tokens = Object.entries(TOKENS[chainId] ?? {}).map(
+    ([symbol, address]) => ({ address, symbol, status: TOKEN_STATUS.KNOWN })
+  );
+  const seen = new Set(tokens.map((token) => token.address.toLowerCase()));
+  for (const list of getTokenLists()) {
+    for (const token of list.tokens) {
+      const key = token.address.toLowerCase();
+      if (token.chainId !== chainId || seen.has(key)) continue;
+      seen.add(key);
+      tokens.push({
+        address: token.address,
+        symbol: token.symbol,
+        status: TOKEN_STATUS.LISTED,
+        listName: list.name,
+      });
+    }
+  }
+  return tokens;
+}
+
+export function getTokenStatus(address, chainId) {
+  const token = getListedTokens(chainId).find(
+    (listed) => listed.address.toLowerCase() === address.toLowerCase()
+  );
+  return token
+    ? { status: token.status, listName: token.listName ?? null }
+    : { status: TOKEN_STATUS.UNLISTED, listName: null };
+}
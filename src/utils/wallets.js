@@ -0,0 +1,117 @@
+import { CHAINS } from "../config/contracts.js";
+import { SUPPORTED_CHAIN_IDS } from "./network.js";
+
+const LAST_WALLET_KEY = "pancakeswap-lp:wallet";
+const WALLETCONNECT_PROJECT_ID = import.meta.env.VITE_WALLETCONNECT_PROJECT_ID;
+
+export const WALLETCONNECT_ID = "walletconnect";
+const INJECTED_ID = "injected";
+
+let walletConnectProvider = null;
+
+// Collects wallets announced through EIP-6963, falling back to
+// window.ethereum for wallets that only inject the legacy provider. Calls
+// `onChange` with the current list and returns an unsubscribe function.
+export function discoverWallets(onChange) {
+  const announced = new Map();
+
+  const listWallets = () => {
+    const wallets = [...announced.values()];
+    if (wallets.length === 0 && window.ethereum) {
+      wallets.push({
+        id: INJECTED_ID,
+        name: "Browser Wallet",
+        icon: null,
+        provider: window.ethereum,
+      });
+    }
+    if (WALLETCONNECT_PROJECT_ID) {
+      wallets.push({
+        id: WALLETCONNECT_ID,
+        name: "WalletConnect",
+        icon: null,
+        provider: null,
+      });
+    }
+    return wallets;
+  };
+
+  const handleAnnounce = (event) => {
+    const { info, provider } = event.detail;
+    const id = info.rdns || info.uuid;
+    announced.set(id, { id, name: info.name, icon: info.icon, provider });
+    onChange(listWallets());
+  };
+
+  window.addEventListener("eip6963:announceProvider", handleAnnounce);
+  window.dispatchEvent(new Event("eip6963:requestProvider"));
+  onChange(listWallets());
+  return () =>
+    window.removeEventListener("eip6963:announceProvider", handleAnnounce);
+}
+
+async function getWalletConnectProvider() {
+  if (!walletConnectProvider) {
+    const { EthereumProvider } = await import(
+      "@walletconnect/ethereum-provider"
+    );
+    walletConnectProvider = await EthereumProvider.init({
+      projectId: WALLETCONNECT_PROJECT_ID,
+      optionalChains: SUPPORTED_CHAIN_IDS,
+      rpcMap: Object.fromEntries(
+        Object.entries(CHAINS).map(([chainId, chain]) => [
+          chainId,
+          chain.rpcUrls[0],
+        ])
+      ),
+      showQrModal: true,
+    });
+  }
+  return walletConnectProvider;
+}
+
+// The EIP-1193 provider for `wallet`. With `silent`, returns null instead of
+// prompting when the wallet has not already authorized this site.
+export async function getWalletProvider(wallet, { silent = false } = {}) {
+  if (wallet.id === WALLETCONNECT_ID) {
+    const provider = await getWalletConnectProvider();
+    if (!provider.session) {
+      if (silent) return null;
+      await provider.connect();
+    }
+    return provider;
+  }
+
+  const accounts = await wallet.provider.request({
+    method: silent ? "eth_accounts" : "eth_requestAccounts",
+  });
+  return accounts.length > 0 ? wallet.provider : null;
+}
+
+export async function disconnectWallet(wallet) {
+  localStorage.removeItem(LAST_WALLET_KEY);
+  try {
+    if (wallet.id === WALLETCONNECT_ID) {
+      await walletConnectProvider?.disconnect();
+    } else {
+      // Not every wallet supports revoking; the site just forgets it then.
+      await wallet.provider.request({
+        method: "wallet_revokePermissions",
+        params: [{ eth_accounts: {} }],
+      });
+    }
+  } catch (error) {
+    console.error("[disconnectWallet] Error:", {
+      error: error.message,
+      wallet: wallet.id,
+    });
+  }
+}
+
+export function getLastWalletId() {
+  return localStorage.getItem(LAST_WALLET_KEY);
+}
+
+export function setLastWalletId(id) {
+  localStorage.setItem(LAST_WALLET_KEY, id);
+}
@@ -0,0 +1,268 @@
+import { getPositionAmounts, getLiquidityForAmounts } from "./positionMath.js";
+
+const REFERENCE_LIQUIDITY = 10n ** 24n;
+const FRACTION_PRECISION = 10n ** 12n;
+const MAX_QUOTE_ROUNDS = 3;
+const REFERENCE_SAMPLE = 1000n;
+
+// Raw Token A received per raw Token B spent at the pool's current price,
+// after the LP fee but before price impact.
+export function getSpotSwapRate(sqrtPriceX96, isToken0A, fee) {
+  const ratio = Number(sqrtPriceX96) / 2 ** 96;
+  const price1Per0 = ratio * ratio;
+  const aPerB = isToken0A ? 1 / price1Per0 : price1Per0;
+  return aPerB * (1 - Number(fee) / 1e6);
+}
+
+function getExecutionImpact(amountOut, amountIn, spotRate) {
+  const rate = Number(amountOut) / Number(amountIn);
+  return Math.max(0, (1 - rate / spotRate) * 100);
+}
+
+// How far the swap moves the pool price, from the Quoter's sqrtPriceX96After.
+export function getPriceMovement(sqrtPriceX96Before, sqrtPriceX96After) {
+  const ratio = Number(sqrtPriceX96After) / Number(sqrtPriceX96Before);
+  return Math.abs(1 - ratio * ratio) * 100;
+}
+
+// Share of the funding amount to swap into Token A, given how much Token A
+// (rateA) and Token B (rateB) one unit of funding buys.
+function getSwapFraction(
+  sqrtPriceX96,
+  tickLower,
+  tickUpper,
+  isToken0A,
+  rateA,
+  rateB
+) {
+  const { amount0, amount1 } = getPositionAmounts(
+    sqrtPriceX96,
+    tickLower,
+    tickUpper,
+    REFERENCE_LIQUIDITY
+  );
+  const neededA = Number(isToken0A ? amount0 : amount1);
+  const neededB = Number(isToken0A ? amount1 : amount0);
+  if (neededA === 0) return 0;
+  if (neededB === 0) return 1;
+
+  const ratio = (neededA / neededB) * rateB;
+  return ratio / (rateA + ratio);
+}
+
+function applyFraction(amount, fraction) {
+  const scaled = BigInt(Math.round(fraction * Number(FRACTION_PRECISION)));
+  return (amount * scaled) / FRACTION_PRECISION;
+}
+
+// Token B per funding unit for a small trade, used as the no-impact baseline.
+async function getReferenceRate(quoteB, amountIn) {
+  const sample =
+    amountIn / REFERENCE_SAMPLE > 0n ? amountIn / REFERENCE_SAMPLE : amountIn;
+  const { amountOut } = await quoteB(sample);
+  return Number(amountOut) / Number(sample);
+}
+
+// The swap that turns `balance0` + `balance1` into the ratio a new range
+// needs at the current price: `amountIn` of token0 when `zeroForOne`, token1
+// otherwise. Priced at spot, so a little may be left over after minting.
+export function getRebalanceSwap({
+  balance0,
+  balance1,
+  sqrtPriceX96,
+  tickLower,
+  tickUpper,
+}) {
+  const { amount0, amount1 } = getPositionAmounts(
+    sqrtPriceX96,
+    tickLower,
+    tickUpper,
+    REFERENCE_LIQUIDITY
+  );
+  const ratio = Number(sqrtPriceX96) / 2 ** 96;
+  const price1Per0 = ratio * ratio;
+  const value1 = Number(balance0) * price1Per0 + Number(balance1);
+
+  let target1;
+  if (amount1 === 0n) target1 = 0;
+  else if (amount0 === 0n) target1 = value1;
+  else {
+    const needed0Per1 = Number(amount0) / Number(amount1);
+    target1 = value1 / (needed0Per1 * price1Per0 + 1);
+  }
+
+  if (Number(balance1) > target1) {
+    const amountIn = BigInt(Math.floor(Number(balance1) - target1));
+    return {
+      zeroForOne: false,
+      amountIn: amountIn > balance1 ? balance1 : amountIn,
+    };
+  }
+  const target0 = (value1 - target1) / price1Per0;
+  const amountIn = BigInt(Math.floor(Math.max(Number(balance0) - target0, 0)));
+  return {
+    zeroForOne: true,
+    amountIn: amountIn > balance0 ? balance0 : amountIn,
+  };
+}
+
+// `quote` prices the funding -> Token A leg. `quoteB` prices the funding ->
+// Token B leg and is omitted when the investment is funded with Token B.
+export async function computeZap({
+  amountIn,
+  sqrtPriceX96,
+  fee,
+  tickLower,
+  tickUpper,
+  isToken0A,
+  quote,
+  quoteB = null,
+}) {
+  const referenceRateB = quoteB ? await getReferenceRate(quoteB, amountIn) : 1;
+  const spotRate =
+    getSpotSwapRate(sqrtPriceX96, isToken0A, fee) * referenceRateB;
+  let swapAmount = applyFraction(
+    amountIn,
+    getSwapFraction(
+      sqrtPriceX96,
+      tickLower,
+      tickUpper,
+      isToken0A,
+      spotRate,
+      referenceRateB
+    )
+  );
+
+  const quoteSplit = async (amountA) => {
+    const amountB = amountIn - amountA;
+    const [legA, legB] = await Promise.all([
+      amountA > 0n
+        ? quote(amountA)
+        : { amountOut: 0n, sqrtPriceX96After: BigInt(sqrtPriceX96) },
+      quoteB && amountB > 0n ? quoteB(amountB) : { amountOut: amountB },
+    ]);
+    return {
+      amountOut: legA.amountOut,
+      sqrtPriceX96After: legA.sqrtPriceX96After,
+      amountOutB: legB.amountOut,
+    };
+  };
+
+  // The swap itself moves the pool price, so the required ratio is taken at
+  // the quoted post-swap price and the split is refined until it settles.
+  let quoted = await quoteSplit(swapAmount);
+  for (let round = 1; round < MAX_QUOTE_ROUNDS; round++) {
+    if (swapAmount === 0n || swapAmount === amountIn) break;
+    const nextSwapAmount = applyFraction(
+      amountIn,
+      getSwapFraction(
+        quoted.sqrtPriceX96After,
+        tickLower,
+        tickUpper,
+        isToken0A,
+        Number(quoted.amountOut) / Number(swapAmount),
+        Number(quoted.amountOutB) / Number(amountIn - swapAmount)
+      )
+    );
+    const delta =
+      nextSwapAmount > swapAmount
+        ? nextSwapAmount - swapAmount
+        : swapAmount - nextSwapAmount;
+    if (delta * 1000n <= swapAmount) break;
+    swapAmount = nextSwapAmount;
+    quoted = await quoteSplit(swapAmount);
+  }
+  const { amountOut, sqrtPriceX96After, amountOutB } = quoted;
+
+  const depositAmount = amountIn - swapAmount;
+  const balance0 = isToken0A ? amountOut : amountOutB;
+  const balance1 = isToken0A ? amountOutB : amountOut;
+  const liquidity = getLiquidityForAmounts(
+    sqrtPriceX96After,
+    tickLower,
+    tickUpper,
+    balance0,
+    balance1
+  );
+  const used = getPositionAmounts(
+    sqrtPriceX96After,
+    tickLower,
+    tickUpper,
+    liquidity,
+    true
+  );
+  const used0 = used.amount0 > balance0 ? balance0 : used.amount0;
+  const used1 = used.amount1 > balance1 ? balance1 : used.amount1;
+
+  const impacts = [0];
+  if (swapAmount > 0n) {
+    impacts.push(
+      getExecutionImpact(amountOut, swapAmount, spotRate),
+      getPriceMovement(sqrtPriceX96, sqrtPriceX96After)
+    );
+  }
+  if (quoteB && depositAmount > 0n) {
+    impacts.push(getExecutionImpact(amountOutB, depositAmount, referenceRateB));
+  }
+
+  return {
+    swapAmount,
+    depositAmount,
+    expectedAmountOut: amountOut,
+    expectedAmountB: amountOutB,
+    sqrtPriceX96After,
+    priceImpact: Math.max(...impacts),
+    liquidity,
+    usedA: isToken0A ? used0 : used1,
+    usedB: isToken0A ? used1 : used0,
+    leftoverA: isToken0A ? balance0 - used0 : balance1 - used1,
+    leftoverB: isToken0A ? balance1 - used1 : balance0 - used0,
+  };
+}
+
+// A range order deposits the funding as-is: all of it is Token A when
+// `fundsA` (selling Token A above the price), all Token B otherwise. There is
+// no swap, so no price impact.
+export function getRangeOrderZap({
+  amountIn,
+  sqrtPriceX96,
+  tickLower,
+  tickUpper,
+  isToken0A,
+  fundsA,
+}) {
+  const amountA = fundsA ? amountIn : 0n;
+  const amountB = fundsA ? 0n : amountIn;
+  const balance0 = isToken0A ? amountA : amountB;
+  const balance1 = isToken0A ? amountB : amountA;
+  const liquidity = getLiquidityForAmounts(
+    sqrtPriceX96,
+    tickLower,
+    tickUpper,
+    balance0,
+    balance1
+  );
+  const used = getPositionAmounts(
+    sqrtPriceX96,
+    tickLower,
+    tickUpper,
+    liquidity,
+    true
+  );
+  const used0 = used.amount0 > balance0 ? balance0 : used.amount0;
+  const used1 = used.amount1 > balance1 ? balance1 : used.amount1;
+
+  return {
+    swapAmount: amountA,
+    depositAmount: amountB,
+    expectedAmountOut: amountA,
+    expectedAmountB: amountB,
+    sqrtPriceX96After: sqrtPriceX96,
+    priceImpact: 0,
+    liquidity,
+    usedA: isToken0A ? used0 : used1,
+    usedB: isToken0A ? used1 : used0,
+    leftoverA: isToken0A ? balance0 - used0 : balance1 - used1,
+    leftoverB: isToken0A ? balance1 - used1 : balance0 - used0,
+  };
+}
@@ -0,0 +1,179 @@
+import { describe, expect, it } from "vitest";
+import {
+  computeZap,
+  getPriceMovement,
+  getRangeOrderZap,
+  getRebalanceSwap,
+  getSpotSwapRate,
+} from "./zap.js";
+
+const Q96 = 2n ** 96n;
+const ONE = 10n ** 18n;
+const FEE = 2500;
+
+// A quote at a flat price of 1 that only charges the LP fee.
+const flatQuote = async (amount) => ({
+  amountOut: (amount * BigInt(1e6 - FEE)) / 1000000n,
+  sqrtPriceX96After: Q96,
+});
+
+describe("getSpotSwapRate", () => {
+  it("takes the LP fee off the pool price", () => {
+    expect(getSpotSwapRate(Q96, true, FEE)).toBeCloseTo(0.9975);
+  });
+
+  it("quotes Token A per Token B on either side of the pool", () => {
+    const sqrtPriceX96 = Q96 * 2n;
+    expect(getSpotSwapRate(sqrtPriceX96, true, 0)).toBeCloseTo(0.25);
+    expect(getSpotSwapRate(sqrtPriceX96, false, 0)).toBeCloseTo(4);
+  });
+});
+
+describe("getPriceMovement", () => {
+  it("is zero when the price doesn't move", () => {
+    expect(getPriceMovement(Q96, Q96)).toBe(0);
+  });
+
+  it("measures the price, not the square root", () => {
+    expect(getPriceMovement(Q96 * 10n, Q96 * 11n)).toBeCloseTo(21);
+  });
+});
+
+describe("computeZap", () => {
+  it("swaps about half into a range centered on the price", async () => {
+    const zap = await computeZap({
+      amountIn: 1000n * ONE,
+      sqrtPriceX96: Q96,
+      fee: FEE,
+      tickLower: -600,
+      tickUpper: 600,
+      isToken0A: true,
+      quote: flatQuote,
+    });
+    expect(zap.swapAmount + zap.depositAmount).toBe(1000n * ONE);
+    expect(Number(zap.swapAmount) / Number(1000n * ONE)).toBeCloseTo(0.5, 2);
+    expect(zap.priceImpact).toBeCloseTo(0, 6);
+    expect(zap.liquidity).toBeGreaterThan(0n);
+    expect(Number(zap.leftoverA + zap.leftoverB)).toBeLessThan(
+      Number(ONE) / 100
+    );
+  });
+
+  it("swaps everything into Token A for a range above the price", async () => {
+    const zap = await computeZap({
+      amountIn: 100n * ONE,
+      sqrtPriceX96: Q96,
+      fee: FEE,
+      tickLower: 600,
+      tickUpper: 1200,
+      isToken0A: true,
+      quote: flatQuote,
+    });
+    expect(zap.swapAmount).toBe(100n * ONE);
+    expect(zap.depositAmount).toBe(0n);
+    expect(zap.usedB).toBe(0n);
+  });
+
+  it("swaps nothing for a range that needs only Token B", async () => {
+    const zap = await computeZap({
+      amountIn: 100n * ONE,
+      sqrtPriceX96: Q96,
+      fee: FEE,
+      tickLower: -1200,
+      tickUpper: -600,
+      isToken0A: true,
+      quote: flatQuote,
+    });
+    expect(zap.swapAmount).toBe(0n);
+    expect(zap.depositAmount).toBe(100n * ONE);
+    expect(zap.priceImpact).toBe(0);
+  });
+
+  it("reports the execution shortfall as price impact", async () => {
+    const zap = await computeZap({
+      amountIn: 1000n * ONE,
+      sqrtPriceX96: Q96,
+      fee: FEE,
+      tickLower: -600,
+      tickUpper: 600,
+      isToken0A: true,
+      quote: async (amount) => ({
+        amountOut: (amount * 95n) / 100n,
+        sqrtPriceX96After: Q96,
+      }),
+    });
+    expect(zap.priceImpact).toBeGreaterThan(4);
+    expect(zap.priceImpact).toBeLessThan(5);
+  });
+});
+
+describe("getRebalanceSwap", () => {
+  it("swaps token1 into token0 when holding only token1", () => {
+    const { zeroForOne, amountIn } = getRebalanceSwap({
+      balance0: 0n,
+      balance1: 1000n * ONE,
+      sqrtPriceX96: Q96,
+      tickLower: -600,
+      tickUpper: 600,
+    });
+    expect(zeroForOne).toBe(false);
+    expect(Number(amountIn) / Number(1000n * ONE)).toBeCloseTo(0.5, 2);
+  });
+
+  it("swaps token0 into token1 when holding only token0", () => {
+    const { zeroForOne, amountIn } = getRebalanceSwap({
+      balance0: 1000n * ONE,
+      balance1: 0n,
+      sqrtPriceX96: Q96,
+      tickLower: -600,
+      tickUpper: 600,
+    });
+    expect(zeroForOne).toBe(true);
+    expect(Number(amountIn) / Number(1000n * ONE)).toBeCloseTo(0.5, 2);
+  });
+
+  it("never swaps more than the balance", () => {
+    const { zeroForOne, amountIn } = getRebalanceSwap({
+      balance0: 10n * ONE,
+      balance1: 0n,
+      sqrtPriceX96: Q96,
+      tickLower: -1200,
+      tickUpper: -600,
+    });
+    expect(zeroForOne).toBe(true);
+    expect(amountIn).toBeLessThanOrEqual(10n * ONE);
+  });
+});
+
+describe("getRangeOrderZap", () => {
+  it("deposits only Token A when selling", () => {
+    const zap = getRangeOrderZap({
+      amountIn: ONE,
+      sqrtPriceX96: Q96,
+      tickLower: 600,
+      tickUpper: 1200,
+      isToken0A: true,
+      fundsA: true,
+    });
+    expect(zap.swapAmount).toBe(ONE);
+    expect(zap.depositAmount).toBe(0n);
+    expect(zap.priceImpact).toBe(0);
+    expect(zap.liquidity).toBeGreaterThan(0n);
+    expect(zap.usedB).toBe(0n);
+  });
+
+  it("deposits only Token B when buying", () => {
+    const zap = getRangeOrderZap({
+      amountIn: ONE,
+      sqrtPriceX96: Q96,
+      tickLower: 600,
+      tickUpper: 1200,
+      isToken0A: false,
+      fundsA: false,
+    });
+    expect(zap.swapAmount).toBe(0n);
+    expect(zap.depositAmount).toBe(ONE);
+    expect(zap.usedA).toBe(0n);
+    expect(zap.liquidity).toBeGreaterThan(0n);
+  });
+});